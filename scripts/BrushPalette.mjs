@@ -4,18 +4,122 @@
 
 import {
   brush,
-  saveBrushSettings,
+  updateBrush,
+  applyPreset,
   getPresets,
   savePresets,
+  canEditPresets,
+  createPresetFromBrush,
+  updatePreset,
+  movePreset,
+  getPresetCategories,
+  getFavoritePresetIds,
+  toggleFavoritePreset,
   getSwatches,
   getPalettePosition,
   savePalettePosition,
+  getPaletteState,
+  savePaletteState,
+  getPaletteLayout,
+  setPaletteLayout,
+  getPaletteScale,
   resetBrush,
   saveSwatchColor,
-  getSelectedDrawing,
+  pinSwatchColor,
+  getRecentColors,
+  addRecentColor,
+  RECENT_COLOR_KINDS,
+  getSelectedDrawings,
+  getMixedFields,
+  getDashStyles,
+  getDashForStyle,
+  getStyleForDash,
+  normalizeDashPattern,
+  saveDashStyle,
+  deleteDashStyle,
+  getSwatchTheme,
+  getSwatchThemes,
+  setSwatchTheme,
+  isSwatchSet,
+  createSwatchSet,
+  duplicateSwatchSet,
+  renameSwatchSet,
+  deleteSwatchSet,
+  removeSwatchColor,
+  moveSwatchColor,
+  getSceneProfile,
+  hasSceneProfile,
+  saveSceneProfile,
+  clearSceneProfile,
+  getColorVisionSimulation,
+  setColorVisionSimulation,
 } from "./module.mjs";
+import { exportPaletteData, importPaletteData } from "./transfer.mjs";
+import { renderBrushPreview } from "./preview.mjs";
+import { importSwatchFile, exportSwatchFile } from "./formats.mjs";
+import { openHarmonyDialog } from "./harmony.mjs";
+import { openRestyleDialog } from "./restyle.mjs";
+import { ColorPicker } from "./colorpicker.mjs";
+import {
+  parseColor,
+  simulateColorVision,
+  contrastRatio,
+  fixContrast,
+  COLOR_VISION_TYPES,
+} from "./color.mjs";
+import {
+  canUndo,
+  canRedo,
+  undoPaletteEdit,
+  redoPaletteEdit,
+} from "./history.mjs";
+import {
+  startEyedropper,
+  stopEyedropper,
+  getEyedropperMode,
+} from "./eyedropper.mjs";
+import {
+  copyFormat,
+  hasCopiedFormat,
+  pasteFormat,
+  getPasteGroup,
+  startPainting,
+  stopPainting,
+  isPainting,
+} from "./painter.mjs";
 
 const MODULE_ID = "brush-palette";
+
+// Swatch action that picks a recent color of each kind
+const RECENT_PICK_ACTIONS = {
+  stroke: "pickStrokeColor",
+  fill: "pickFillColor",
+  text: "pickTextColor",
+};
+
+// Opacity field set together with each color field by the color picker
+const ALPHA_FIELDS = {
+  strokeColor: "strokeAlpha",
+  fillColor: "fillAlpha",
+  textColor: "textAlpha",
+};
+
+// WCAG contrast levels of the text over fill badge, highest first
+const CONTRAST_LEVELS = [
+  { min: 7, level: "aaa", label: "BRUSH_PALETTE.ContrastAAA" },
+  { min: 4.5, level: "aa", label: "BRUSH_PALETTE.ContrastAA" },
+  { min: 3, level: "aa-large", label: "BRUSH_PALETTE.ContrastAALarge" },
+  { min: 0, level: "fail", label: "BRUSH_PALETTE.ContrastFail" },
+];
+
+// Contrast "fix contrast" aims for (WCAG AA for normal text)
+const CONTRAST_TARGET = 4.5;
+
+// Section templates shared by the window and the docked toolbar
+const SECTION_PARTIALS = ["stroke", "fill", "text", "presets", "footer"].map(
+  (part) => `modules/${MODULE_ID}/templates/parts/${part}.hbs`,
+);
+
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
 export class BrushPalette extends HandlebarsApplicationMixin(ApplicationV2) {
@@ -28,6 +132,23 @@ export class BrushPalette extends HandlebarsApplicationMixin(ApplicationV2) {
       icon: "fas fa-palette",
       resizable: false,
       minimizable: true,
+      controls: [
+        {
+          icon: "fas fa-arrow-up",
+          label: "BRUSH_PALETTE.LayoutTop",
+          action: "dockTop",
+        },
+        {
+          icon: "fas fa-arrow-down",
+          label: "BRUSH_PALETTE.LayoutBottom",
+          action: "dockBottom",
+        },
+        {
+          icon: "fas fa-arrow-left",
+          label: "BRUSH_PALETTE.LayoutControls",
+          action: "dockControls",
+        },
+      ],
     },
     position: {
       width: 252,
@@ -36,38 +157,198 @@ export class BrushPalette extends HandlebarsApplicationMixin(ApplicationV2) {
     actions: {
       pickStrokeColor: BrushPalette.#pickStrokeColor,
       pickFillColor: BrushPalette.#pickFillColor,
+      pickTextColor: BrushPalette.#pickTextColor,
+      openColorPicker: BrushPalette.#openColorPicker,
+      fixContrast: BrushPalette.#fixContrast,
       loadPreset: BrushPalette.#loadPreset,
       deletePreset: BrushPalette.#deletePreset,
       savePreset: BrushPalette.#savePreset,
+      copyPreset: BrushPalette.#copyPreset,
+      overwritePreset: BrushPalette.#overwritePreset,
+      togglePresetLock: BrushPalette.#togglePresetLock,
+      renamePreset: BrushPalette.#renamePreset,
+      setPresetCategory: BrushPalette.#setPresetCategory,
+      togglePresetFavorite: BrushPalette.#togglePresetFavorite,
+      exportPresets: BrushPalette.#exportPresets,
+      importPresets: BrushPalette.#importPresets,
+      importSwatches: BrushPalette.#importSwatches,
+      exportSwatches: BrushPalette.#exportSwatches,
+      createSwatchSet: BrushPalette.#createSwatchSet,
+      duplicateSwatchSet: BrushPalette.#duplicateSwatchSet,
+      renameSwatchSet: BrushPalette.#renameSwatchSet,
+      deleteSwatchSet: BrushPalette.#deleteSwatchSet,
+      addSwatch: BrushPalette.#addSwatch,
+      generateHarmony: BrushPalette.#generateHarmony,
+      saveDashStyle: BrushPalette.#saveDashStyle,
+      deleteDashStyle: BrushPalette.#deleteDashStyle,
+      sceneBrush: BrushPalette.#sceneBrush,
+      restyleScene: BrushPalette.#restyleScene,
       resetBrush: BrushPalette.#resetBrush,
+      undoEdit: BrushPalette.#undoEdit,
+      redoEdit: BrushPalette.#redoEdit,
+      eyedropper: BrushPalette.#eyedropper,
+      copyFormat: BrushPalette.#copyFormat,
+      pasteFormat: BrushPalette.#pasteFormat,
+      pickTexture: BrushPalette.#pickTexture,
+      togglePopover: BrushPalette.#togglePopover,
+      dockTop: BrushPalette.#dockTop,
+      dockBottom: BrushPalette.#dockBottom,
+      dockControls: BrushPalette.#dockControls,
+      undockPalette: BrushPalette.#undockPalette,
     },
   };
 
+  // Only one of these is rendered, depending on the layout
   static PARTS = {
     palette: {
       template: `modules/${MODULE_ID}/templates/palette.hbs`,
+      templates: [
+        `modules/${MODULE_ID}/templates/palette.hbs`,
+        ...SECTION_PARTIALS,
+      ],
+    },
+    toolbar: {
+      template: `modules/${MODULE_ID}/templates/toolbar.hbs`,
+      templates: [
+        `modules/${MODULE_ID}/templates/toolbar.hbs`,
+        ...SECTION_PARTIALS,
+      ],
     },
   };
 
-  // Track expanded state for sections (persisted across re-renders)
+  // Swatch being dragged to reorder a swatch set
+  #draggedSwatch = null;
+
+  // Preset row being dragged to reorder the presets
+  #draggedPreset = null;
+
+  // Open color picker popover, and the color field it edits
+  #colorPicker = null;
+  #colorPickerField = null;
+
+  // Section shown as a popover on the docked toolbar
+  #openPopover = null;
+
+  // Track expanded state for sections (persisted across sessions)
   _sectionState = {
     stroke: true,
     fill: true,
     text: false,
     presets: false,
+    ...getPaletteState().sections,
   };
 
+  // Track expanded state of preset categories ("" for uncategorized)
+  _presetGroupState = {};
+
+  /**
+   * Apply the layout and scale settings. A docked toolbar has no window
+   * frame and is placed by the stylesheet instead of by position.
+   */
+  _initializeApplicationOptions(options) {
+    options = super._initializeApplicationOptions(options);
+    options.layout = getPaletteLayout();
+    if (options.layout === "window") {
+      options.position.scale = getPaletteScale();
+    } else {
+      options.window.frame = false;
+      options.window.positioned = false;
+      options.classes = [
+        ...options.classes,
+        "docked",
+        `docked-${options.layout}`,
+      ];
+    }
+    return options;
+  }
+
+  /**
+   * Whether the palette is a toolbar docked to a screen edge.
+   */
+  get isDocked() {
+    return this.options.layout !== "window";
+  }
+
+  /**
+   * Render the window or the toolbar template, not both.
+   */
+  _configureRenderParts(options) {
+    const parts = super._configureRenderParts(options);
+    delete parts[this.isDocked ? "palette" : "toolbar"];
+    return parts;
+  }
+
   /**
    * Prepare data for the template
    */
   async _prepareContext(options) {
-    const swatches = getSwatches().map((hex) => ({
+    const mixed = Object.fromEntries(
+      [...getMixedFields()].map((field) => [field, true]),
+    );
+
+    // Swatches show their simulated color; picking one still uses its own
+    const vision = getColorVisionSimulation();
+    const toSwatch = (hex) => ({
       hex,
-      strokeActive: hex.toLowerCase() === brush.strokeColor?.toLowerCase(),
-      fillActive: hex.toLowerCase() === brush.fillColor?.toLowerCase(),
+      display: simulateColorVision(hex, vision),
+    });
+
+    const swatches = getSwatches().map((hex) => ({
+      ...toSwatch(hex),
+      strokeActive:
+        !mixed.strokeColor &&
+        hex.toLowerCase() === brush.strokeColor?.toLowerCase(),
+      fillActive:
+        !mixed.fillColor &&
+        hex.toLowerCase() === brush.fillColor?.toLowerCase(),
+    }));
+
+    const swatchTheme = getSwatchTheme();
+    const swatchThemes = getSwatchThemes().map((theme) => ({
+      ...theme,
+      selected: theme.id === swatchTheme,
     }));
 
-    const presets = getPresets();
+    // Shared (GM) presets are listed first, followed by the user's own
+    const isGM = !!game.user?.isGM;
+    const favorites = new Set(getFavoritePresetIds());
+    const presets = [
+      ...getPresets("shared").map((preset) => ({
+        ...preset,
+        source: "shared",
+        shared: true,
+        favorite: favorites.has(preset.id),
+        thumbnail: renderBrushPreview(preset, { thumbnail: true }),
+        locked: !!preset.locked,
+        canCopy: true,
+        canEdit: isGM,
+        canLock: isGM,
+        canDelete: isGM && !preset.locked,
+      })),
+      ...getPresets("personal").map((preset) => ({
+        ...preset,
+        source: "personal",
+        shared: false,
+        favorite: favorites.has(preset.id),
+        thumbnail: renderBrushPreview(preset, { thumbnail: true }),
+        canEdit: true,
+        canDelete: true,
+      })),
+    ];
+
+    // Presets grouped by category: uncategorized first, then by name
+    const categories = getPresetCategories();
+    const presetGroups = ["", ...categories]
+      .map((category) => ({
+        category,
+        label:
+          category || game.i18n.localize("BRUSH_PALETTE.PresetCategoryNone"),
+        open: !categories.length || (this._presetGroupState[category] ?? true),
+        presets: presets.filter(
+          (preset) => (preset.category || "") === category,
+        ),
+      }))
+      .filter((group) => group.presets.length);
 
     const FontCfg =
       foundry.applications.settings?.menus?.FontConfig ?? FontConfig;
@@ -77,24 +358,51 @@ export class BrushPalette extends HandlebarsApplicationMixin(ApplicationV2) {
       .map(([value, label]) => ({
         value,
         label,
-        selected: value === brush.fontFamily,
+        selected: !mixed.fontFamily && value === brush.fontFamily,
       }));
 
+    const selectedCount = getSelectedDrawings().length;
+
+    const fillTypes = [
+      { value: 0, label: "BRUSH_PALETTE.FillNone" },
+      { value: 1, label: "BRUSH_PALETTE.FillSolid" },
+      { value: 2, label: "BRUSH_PALETTE.FillPattern" },
+    ].map((type) => ({
+      ...type,
+      selected: !mixed.fillType && type.value === brush.fillType,
+    }));
+
+    const strokeStyle = brush.strokeStyle || "solid";
+    const dashStyles = getDashStyles().map((style) => ({
+      ...style,
+      selected: !mixed.strokeStyle && style.id === strokeStyle,
+    }));
+
     return {
+      brushPreview: renderBrushPreview(brush),
       strokeColor: brush.strokeColor,
       strokeWidth: brush.strokeWidth,
       strokeAlpha: brush.strokeAlpha,
       strokeAlphaPct: Math.round(brush.strokeAlpha * 100),
-      strokeStyle: brush.strokeStyle || "solid",
-      strokeStyleSolid: (brush.strokeStyle || "solid") === "solid",
-      strokeStyleDotted: brush.strokeStyle === "dotted",
-      strokeStyleDashed: brush.strokeStyle === "dashed",
-      fillEnabled: brush.fillType === 1,
+      strokeStyle,
+      strokeStyleCustom: !mixed.strokeStyle && strokeStyle === "custom",
+      dashStyles,
+      strokeDashText: BrushPalette.#formatDash(brush.strokeDash),
+      strokeDashArray: brush.strokeDash?.join(" ") ?? "",
+      canDeleteDashStyle: BrushPalette.#isSavedDashStyle(strokeStyle),
+      fillEnabled: brush.fillType > 0,
+      fillPattern: brush.fillType === 2,
+      fillTypes,
+      texture: brush.texture || "",
       fillColor: brush.fillColor,
       fillAlpha: brush.fillAlpha,
       fillAlphaPct: Math.round(brush.fillAlpha * 100),
       bezierFactor: brush.bezierFactor,
       bezierFactorPct: Math.round(brush.bezierFactor * 200), // 0-0.5 mapped to 0-100%
+      taper: brush.taper,
+      taperMinWidth: brush.taperMinWidth,
+      taperMaxWidth: brush.taperMaxWidth,
+      taperLength: brush.taperLength,
       text: brush.text || "",
       fontFamily: brush.fontFamily || "",
       fontFamilies,
@@ -104,12 +412,35 @@ export class BrushPalette extends HandlebarsApplicationMixin(ApplicationV2) {
       textAlphaPct: Math.round(brush.textAlpha * 100),
       adtActive: !!game.modules.get("advanced-drawing-tools")?.active,
       swatches,
+      swatchThemes,
+      swatchSetEditable: isSwatchSet(swatchTheme),
+      recentStroke: getRecentColors("stroke").map(toSwatch),
+      recentFill: getRecentColors("fill").map(toSwatch),
+      recentText: getRecentColors("text").map(toSwatch),
+      visionTypes: Object.entries(COLOR_VISION_TYPES).map(([value, label]) => ({
+        value,
+        label,
+        selected: value === vision,
+      })),
+      contrast: BrushPalette.#getContrast(),
       presets,
+      presetGroups,
+      showPresetGroups: categories.length > 0,
+      canSaveShared: canEditPresets("shared"),
+      docked: this.isDocked,
+      openPopover: this.#openPopover,
       strokeExpanded: this._sectionState.stroke,
       fillExpanded: this._sectionState.fill,
       textExpanded: this._sectionState.text,
       presetsExpanded: this._sectionState.presets,
-      editingDrawing: !!getSelectedDrawing(),
+      editingDrawing: selectedCount > 0,
+      editingMultiple: selectedCount > 1,
+      editingCount: selectedCount,
+      mixed,
+      canUndo: canUndo(),
+      canRedo: canRedo(),
+      hasScene: !!canvas?.scene,
+      sceneProfile: hasSceneProfile(),
     };
   }
 
@@ -136,11 +467,32 @@ export class BrushPalette extends HandlebarsApplicationMixin(ApplicationV2) {
     savePalettePosition({ left: pos.left, top: pos.top });
   }
 
+  /**
+   * Remember that the window was minimized.
+   */
+  async minimize() {
+    await super.minimize();
+    if (this.minimized) savePaletteState({ minimized: true });
+  }
+
+  /**
+   * Remember that the window was restored.
+   */
+  async maximize() {
+    await super.maximize();
+    if (!this.minimized) savePaletteState({ minimized: false });
+  }
+
   /**
    * Sync the toolbar toggle button when the window is closed by the user.
+   * Closing to switch layouts leaves it alone, as the palette reopens.
    */
   async _onClose(options) {
     await super._onClose(options);
+    stopEyedropper();
+    stopPainting();
+    this.#colorPicker?.close();
+    if (options.relayout) return;
     // Defer so we don't interfere with the controls render cycle
     setTimeout(() => {
       const toggle =
@@ -164,16 +516,39 @@ export class BrushPalette extends HandlebarsApplicationMixin(ApplicationV2) {
     html.addEventListener("input", this.#onInputChange.bind(this));
     html.addEventListener("change", this.#onInputChange.bind(this));
 
-    // Right-click a swatch to edit its color (custom theme only)
+    // Right-click a swatch to edit its color (swatch sets only)
     html.addEventListener("contextmenu", this.#onSwatchRightClick.bind(this));
 
+    // Drag swatches to reorder a swatch set
+    html.addEventListener("dragstart", this.#onSwatchDragStart.bind(this));
+    html.addEventListener("dragover", this.#onSwatchDragOver.bind(this));
+    html.addEventListener("dragleave", this.#onSwatchDragLeave.bind(this));
+    html.addEventListener("drop", this.#onSwatchDrop.bind(this));
+    html.addEventListener("dragend", this.#onSwatchDragEnd.bind(this));
+
+    // Drag presets to reorder them, or onto a category to move them there
+    html.addEventListener("dragstart", this.#onPresetDragStart.bind(this));
+    html.addEventListener("dragover", this.#onPresetDragOver.bind(this));
+    html.addEventListener("dragleave", this.#onPresetDragLeave.bind(this));
+    html.addEventListener("drop", this.#onPresetDrop.bind(this));
+    html.addEventListener("dragend", this.#onPresetDragEnd.bind(this));
+
     // Track <details> open/close state so sections stay open across re-renders.
     // toggle events don't bubble, so use capture mode.
     html.addEventListener(
       "toggle",
       (ev) => {
         const section = ev.target.dataset?.section;
-        if (section !== undefined) this._sectionState[section] = ev.target.open;
+        if (
+          section !== undefined &&
+          this._sectionState[section] !== ev.target.open
+        ) {
+          this._sectionState[section] = ev.target.open;
+          savePaletteState({ sections: this._sectionState });
+        }
+        if (ev.target.classList?.contains("preset-group")) {
+          this._presetGroupState[ev.target.dataset.category] = ev.target.open;
+        }
       },
       true,
     );
@@ -185,13 +560,39 @@ export class BrushPalette extends HandlebarsApplicationMixin(ApplicationV2) {
   _onRender(context, options) {
     super._onRender(context, options);
 
-    // Restore saved position if available and within viewport
-    const savedPos = getPalettePosition();
-    if (savedPos && this.#isPositionInViewport(savedPos)) {
-      this.setPosition({ left: savedPos.left, top: savedPos.top });
+    if (this.isDocked) {
+      this.element.style.setProperty("--palette-scale", getPaletteScale());
+      this.updateDockPosition();
+    } else {
+      // Restore saved position if available and within viewport
+      const savedPos = getPalettePosition();
+      if (savedPos && this.#isPositionInViewport(savedPos)) {
+        this.setPosition({ left: savedPos.left, top: savedPos.top });
+      }
+      // Minimize once the first render is done, as a forced render restores
+      if (options.isFirstRender && getPaletteState().minimized) {
+        setTimeout(() => this.minimize(), 0);
+      }
     }
 
     this.#autoGrowTextarea(this.element.querySelector('textarea[name="text"]'));
+    this.refreshEyedropperButtons();
+    this.refreshFormatPainterButtons();
+    this.#refreshColorPickerButtons();
+  }
+
+  /**
+   * Line a toolbar docked beside the scene controls up with their right
+   * edge; the controls grow a column when a tool group is open.
+   */
+  updateDockPosition() {
+    if (this.options.layout !== "controls" || !this.element) return;
+    const controls = document
+      .getElementById("scene-controls")
+      ?.getBoundingClientRect();
+    if (!controls) return;
+    this.element.style.setProperty("--dock-left", `${controls.right}px`);
+    this.element.style.setProperty("--dock-top", `${controls.top}px`);
   }
 
   /**
@@ -201,112 +602,338 @@ export class BrushPalette extends HandlebarsApplicationMixin(ApplicationV2) {
     const input = event.target;
     const name = input.name;
     let value = input.value;
-    let changedField = null;
+    let changes = null;
 
     switch (name) {
+      case "swatchTheme":
+        // Not a brush field: switch the swatches shown
+        if (event.type === "change") setSwatchTheme(value);
+        return;
+      case "colorVisionSimulation":
+        if (event.type === "change") setColorVisionSimulation(value);
+        return;
+      case "presetPicker": {
+        // The toolbar's preset list loads the chosen preset and resets
+        if (event.type !== "change" || !value) return;
+        const source = input.selectedOptions[0]?.dataset.source;
+        const preset = getPresets(source).find((p) => p.id === value);
+        input.value = "";
+        if (preset) applyPreset(preset);
+        return;
+      }
       case "strokeColor":
-        brush.strokeColor = value;
-        this.#updateColorText("strokeColorText", value);
-        this.#updateSwatchActive(value);
-        changedField = "strokeColor";
+      case "fillColor":
+      case "textColor":
+        changes = { [name]: value };
         break;
       case "strokeColorText":
-        if (/^#[0-9a-f]{6}$/i.test(value)) {
-          brush.strokeColor = value;
-          this.element.querySelector('input[name="strokeColor"]').value = value;
-          this.#updateSwatchActive(value);
-          changedField = "strokeColor";
-        }
+      case "fillColorText":
+      case "textColorText": {
+        const field = name.replace(/Text$/, "");
+        const color = parseColor(value);
+        // Short forms like "#f00" or "#ff00" may be the start of a longer
+        // color, so only plain "#rrggbb" applies while typing
+        const complete =
+          event.type === "change" || /^#?[0-9a-f]{6}$/i.test(value.trim());
+        this.#markInvalidColor(input, event.type === "change" && !color);
+        if (!color || !complete) return;
+        changes = { [field]: color.hex };
+        if (color.alpha !== null) changes[ALPHA_FIELDS[field]] = color.alpha;
         break;
+      }
       case "strokeWidth":
-        brush.strokeWidth = Math.max(0, parseInt(value, 10) || 0);
-        this.#updateRangeValue(input, `${brush.strokeWidth}px`);
-        changedField = "strokeWidth";
-        break;
-      case "strokeAlpha":
-        brush.strokeAlpha = Math.max(0, parseFloat(value) || 0);
-        this.#updateRangeValue(
-          input,
-          `${Math.round(brush.strokeAlpha * 100)}%`,
-        );
-        changedField = "strokeAlpha";
+        changes = { strokeWidth: Math.max(0, parseInt(value, 10) || 0) };
         break;
-      case "strokeStyle":
-        brush.strokeStyle = value;
-        changedField = "strokeStyle";
-        break;
-      case "fillEnabled":
-        brush.fillType = input.checked ? 1 : 0;
-        const fillControls = this.element.querySelector(".fill-controls");
-        if (fillControls) fillControls.hidden = !input.checked;
-        changedField = "fillType";
-        break;
-      case "fillColor":
-        brush.fillColor = value;
-        this.#updateColorText("fillColorText", value);
-        this.#updateFillSwatchActive(value);
-        changedField = "fillColor";
+      case "taper":
+        if (event.type !== "change") return;
+        changes = { taper: input.checked };
         break;
-      case "fillColorText":
-        if (/^#[0-9a-f]{6}$/i.test(value)) {
-          brush.fillColor = value;
-          this.element.querySelector('input[name="fillColor"]').value = value;
-          this.#updateFillSwatchActive(value);
-          changedField = "fillColor";
-        }
+      case "taperMinWidth":
+      case "taperMaxWidth":
+      case "taperLength":
+        changes = { [name]: Math.max(0, parseInt(value, 10) || 0) };
         break;
+      case "strokeAlpha":
       case "fillAlpha":
-        brush.fillAlpha = Math.max(0, parseFloat(value) || 0);
-        this.#updateRangeValue(input, `${Math.round(brush.fillAlpha * 100)}%`);
-        changedField = "fillAlpha";
-        break;
       case "bezierFactor":
-        brush.bezierFactor = Math.max(0, parseFloat(value) || 0);
-        this.#updateRangeValue(
-          input,
-          `${Math.round(brush.bezierFactor * 200)}%`,
-        );
-        changedField = "bezierFactor";
+      case "textAlpha":
+        changes = { [name]: Math.max(0, parseFloat(value) || 0) };
         break;
-      case "text":
-        brush.text = value;
-        this.#autoGrowTextarea(input);
-        changedField = "text";
+      case "strokeStyle":
+        // "Custom" keeps the current pattern; named styles bring their own
+        changes =
+          value === "custom"
+            ? { strokeStyle: value }
+            : { strokeStyle: value, strokeDash: getDashForStyle(value) };
+        break;
+      case "strokeDashText": {
+        const parts = value.split(/[\s,]+/).filter(Boolean);
+        const dash = normalizeDashPattern(parts);
+        if (parts.length && !dash) return;
+        // Preview while typing, commit once editing is done
+        this.#updateDashPreview(dash);
+        if (event.type !== "change") return;
+        changes = { strokeDash: dash, strokeStyle: getStyleForDash(dash) };
         break;
+      }
       case "fontFamily":
-        brush.fontFamily = value;
-        changedField = "fontFamily";
+      case "text":
+        changes = { [name]: value };
         break;
-      case "fontSize":
-        brush.fontSize = Math.max(8, parseInt(value, 10) || 48);
-        this.#updateRangeValue(input, `${brush.fontSize}px`);
-        changedField = "fontSize";
+      case "fillType":
+        changes = { fillType: Math.max(0, parseInt(value, 10) || 0) };
         break;
-      case "textColor":
-        brush.textColor = value;
-        this.#updateColorText("textColorText", value);
-        changedField = "textColor";
+      case "texture":
+        // Only commit the path once editing is done, not on every keystroke
+        if (event.type !== "change") return;
+        changes = { texture: value.trim() };
         break;
-      case "textColorText":
-        if (/^#[0-9a-f]{6}$/i.test(value)) {
-          brush.textColor = value;
-          this.element.querySelector('input[name="textColor"]').value = value;
-          changedField = "textColor";
-        }
-        break;
-      case "textAlpha":
-        brush.textAlpha = Math.max(0, parseFloat(value) || 0);
-        this.#updateRangeValue(input, `${Math.round(brush.textAlpha * 100)}%`);
-        changedField = "textAlpha";
+      case "fontSize":
+        changes = { fontSize: Math.max(8, parseInt(value, 10) || 48) };
         break;
       default:
         return; // Unknown input (e.g. presetName) — don't trigger a save
     }
 
+    if (!changes) return;
+
     // Save on every change
-    if (changedField) saveBrushSettings(changedField);
+    updateBrush(changes, { source: input });
+
+    // Remember committed colors, not every step of a color-picker drag
+    if (event.type === "change") {
+      for (const [field, kind] of Object.entries(RECENT_COLOR_KINDS)) {
+        if (field in changes) addRecentColor(kind, changes[field]);
+      }
+    }
+  }
+
+  /**
+   * Sync the palette inputs for the given brush fields in place, without a
+   * full re-render. Called after any brush change (inputs, swatches,
+   * keybindings). The input that made the change is left as the user typed it.
+   * @param {string[]} fields
+   * @param {object} [options]
+   * @param {HTMLElement} [options.except]
+   */
+  refreshFields(fields, { except } = {}) {
+    if (!this.element) return;
+
+    // A field can have more than one input, e.g. inline and in a popover
+    const setValue = (name, value) => {
+      const inputs = this.element.querySelectorAll(`[name="${name}"]`);
+      for (const input of inputs) if (input !== except) input.value = value;
+      return inputs[0] ?? null;
+    };
+
+    for (const field of fields) {
+      const value = brush[field];
+      let input = null;
+
+      switch (field) {
+        case "strokeColor":
+        case "fillColor":
+        case "textColor":
+          input = setValue(field, value);
+          const text = setValue(`${field}Text`, value);
+          if (text && text !== except) this.#markInvalidColor(text, false);
+          if (field === "strokeColor") this.#updateSwatchActive(value);
+          if (field === "fillColor") this.#updateFillSwatchActive(value);
+          if (field !== "strokeColor") this.#updateContrastBadge();
+          this.#updateSectionPreview(field, value);
+          break;
+        case "fillType":
+        case "texture":
+          input = setValue(field, value);
+          this.#updateFillControls();
+          break;
+        case "text":
+          input = setValue(field, value);
+          this.#autoGrowTextarea(input);
+          break;
+        case "taper":
+          input = this.element.querySelector('[name="taper"]');
+          if (input && input !== except) input.checked = value;
+          this.#updateTaperControls();
+          break;
+        case "strokeStyle":
+          input = setValue(field, value);
+          const deleteButton = this.element.querySelector(
+            '[data-action="deleteDashStyle"]',
+          );
+          if (deleteButton) {
+            deleteButton.hidden = !BrushPalette.#isSavedDashStyle(value);
+          }
+          break;
+        case "strokeDash":
+          input = setValue("strokeDashText", BrushPalette.#formatDash(value));
+          this.#updateDashPreview(value);
+          break;
+        default:
+          input = setValue(field, value);
+          if (field in BrushPalette.#RANGE_LABELS) {
+            this.element
+              .querySelectorAll(`[name="${field}"]`)
+              .forEach((range) =>
+                this.#updateRangeValue(
+                  range,
+                  BrushPalette.#RANGE_LABELS[field](value),
+                ),
+              );
+          }
+      }
+
+      // A field the user sets is no longer mixed across selected drawings
+      if (input) {
+        this.element
+          .querySelectorAll(`[name="${input.name}"]`)
+          .forEach((el) => el.closest(".mixed")?.classList.remove("mixed"));
+      }
+    }
+
+    const pickerField = this.#colorPickerField;
+    if (
+      pickerField &&
+      (fields.includes(pickerField) ||
+        fields.includes(ALPHA_FIELDS[pickerField]))
+    ) {
+      this.#colorPicker.setColor(
+        brush[pickerField],
+        brush[ALPHA_FIELDS[pickerField]],
+      );
+    }
+
+    this.#updateBrushPreview();
+  }
+
+  /**
+   * Rebuild the recent-color rows in place from the stored recent colors.
+   */
+  refreshRecentColors() {
+    if (!this.element) return;
+
+    const vision = getColorVisionSimulation();
+    const hint = game.i18n.localize("BRUSH_PALETTE.RecentPinHint");
+    this.element.querySelectorAll(".recent-row").forEach((row) => {
+      const kind = row.dataset.recent;
+      const colors = getRecentColors(kind);
+      row.querySelectorAll(".swatch").forEach((swatch) => swatch.remove());
+      for (const hex of colors) {
+        const swatch = document.createElement("button");
+        swatch.type = "button";
+        swatch.className = "swatch recent";
+        swatch.style.backgroundColor = simulateColorVision(hex, vision);
+        swatch.dataset.action = RECENT_PICK_ACTIONS[kind];
+        swatch.dataset.color = hex;
+        swatch.title = `${hex} — ${hint}`;
+        row.append(swatch);
+      }
+      row.hidden = colors.length === 0;
+    });
+  }
+
+  /**
+   * Enable or disable the undo/redo buttons to match the edit history.
+   */
+  refreshHistoryButtons() {
+    const undo = this.element?.querySelector('[data-action="undoEdit"]');
+    const redo = this.element?.querySelector('[data-action="redoEdit"]');
+    if (undo) undo.disabled = !canUndo();
+    if (redo) redo.disabled = !canRedo();
+  }
+
+  /**
+   * Highlight the eyedropper button of the active mode.
+   */
+  refreshEyedropperButtons() {
+    const mode = getEyedropperMode();
+    this.element
+      ?.querySelectorAll('[data-action="eyedropper"]')
+      .forEach((button) =>
+        button.classList.toggle("active", button.dataset.mode === mode),
+      );
+  }
+
+  /**
+   * Enable the paste button once a style is copied, and highlight it while
+   * painting.
+   */
+  refreshFormatPainterButtons() {
+    const paste = this.element?.querySelector('[data-action="pasteFormat"]');
+    if (!paste) return;
+    paste.disabled = !hasCopiedFormat();
+    paste.classList.toggle("active", isPainting());
+  }
+
+  /**
+   * Flag a color text input whose value could not be read as a color.
+   */
+  #markInvalidColor(input, invalid) {
+    input.classList.toggle("invalid", invalid);
+    input.setAttribute("aria-invalid", String(invalid));
+    input.title = invalid
+      ? game.i18n.format("BRUSH_PALETTE.ColorInvalid", { value: input.value })
+      : "";
+  }
+
+  /**
+   * Contrast of the text color over the fill color, for the badge.
+   * @returns {{text: string, level: string, passes: boolean}}
+   */
+  static #getContrast() {
+    const ratio = contrastRatio(brush.textColor, brush.fillColor);
+    const { level, label } = CONTRAST_LEVELS.find(({ min }) => ratio >= min);
+    // Round down, so a failing 4.48 doesn't read as 4.5
+    const value = Math.floor(ratio * 10) / 10;
+    return {
+      text: `${value}:1 ${game.i18n.localize(label)}`,
+      level,
+      passes: ratio >= CONTRAST_TARGET,
+    };
   }
 
+  /**
+   * Refresh the text over fill contrast badge.
+   */
+  #updateContrastBadge() {
+    const badge = this.element.querySelector(".contrast-badge");
+    if (!badge) return;
+    const { text, level, passes } = BrushPalette.#getContrast();
+    badge.textContent = text;
+    badge.dataset.level = level;
+    const fix = this.element.querySelector('[data-action="fixContrast"]');
+    if (fix) fix.hidden = passes;
+  }
+
+  /**
+   * Highlight the picker button of the color field being edited.
+   */
+  #refreshColorPickerButtons() {
+    this.element
+      ?.querySelectorAll('[data-action="openColorPicker"]')
+      .forEach((button) =>
+        button.classList.toggle(
+          "active",
+          button.dataset.field === this.#colorPickerField,
+        ),
+      );
+  }
+
+  /**
+   * Formatters for the value shown next to each range input
+   */
+  static #RANGE_LABELS = {
+    strokeWidth: (v) => `${v}px`,
+    strokeAlpha: (v) => `${Math.round(v * 100)}%`,
+    fillAlpha: (v) => `${Math.round(v * 100)}%`,
+    bezierFactor: (v) => `${Math.round(v * 200)}%`, // 0-0.5 mapped to 0-100%
+    fontSize: (v) => `${v}px`,
+    textAlpha: (v) => `${Math.round(v * 100)}%`,
+    taperMinWidth: (v) => `${v}px`,
+    taperMaxWidth: (v) => `${v}px`,
+    taperLength: (v) => `${v}px`,
+  };
+
   /**
    * Resize the textarea to fit its content without scrollbars.
    */
@@ -317,11 +944,78 @@ export class BrushPalette extends HandlebarsApplicationMixin(ApplicationV2) {
   }
 
   /**
-   * Update the text display next to a color picker
+   * Update the colored dot on a section's legend
    */
-  #updateColorText(inputName, value) {
-    const input = this.element.querySelector(`input[name="${inputName}"]`);
-    if (input) input.value = value;
+  #updateSectionPreview(field, color) {
+    const section = { strokeColor: "stroke", fillColor: "fill" }[field];
+    if (!section) return;
+    const preview = this.element.querySelector(
+      `[data-section="${section}"] .section-preview`,
+    );
+    if (preview) {
+      preview.style.backgroundColor = color;
+      preview.classList.remove("mixed");
+    }
+  }
+
+  /**
+   * Show or hide the fill and texture controls and refresh the fill preview
+   * to match the current fill type.
+   */
+  #updateFillControls() {
+    const fillControls = this.element.querySelector(".fill-controls");
+    if (fillControls) fillControls.hidden = brush.fillType === 0;
+    const textureControls = this.element.querySelector(".texture-controls");
+    if (textureControls) textureControls.hidden = brush.fillType !== 2;
+
+    const preview = this.element.querySelector(
+      '[data-section="fill"] .section-preview',
+    );
+    if (!preview) return;
+    preview.hidden = brush.fillType === 0;
+    const showTexture = brush.fillType === 2 && !!brush.texture;
+    preview.classList.toggle("texture-preview", showTexture);
+    preview.style.backgroundImage = showTexture
+      ? `url("${brush.texture}")`
+      : "";
+  }
+
+  /**
+   * Show the taper widths and length only in taper mode.
+   */
+  #updateTaperControls() {
+    const controls = this.element.querySelector(".taper-controls");
+    if (controls) controls.hidden = !brush.taper;
+  }
+
+  /**
+   * Redraw the brush preview at the top of the palette.
+   */
+  #updateBrushPreview() {
+    const preview = this.element.querySelector(".brush-preview");
+    if (preview) preview.innerHTML = renderBrushPreview(brush);
+  }
+
+  /**
+   * Draw a dash pattern on the preview line (solid for null).
+   */
+  #updateDashPreview(dash) {
+    const line = this.element.querySelector(".dash-preview line");
+    if (line) line.setAttribute("stroke-dasharray", dash?.join(" ") ?? "");
+  }
+
+  /**
+   * Format a dash pattern for the pattern text input.
+   */
+  static #formatDash(dash) {
+    return dash?.join(", ") ?? "";
+  }
+
+  /**
+   * Whether a style id is one of the user's saved dash styles.
+   */
+  static #isSavedDashStyle(id) {
+    return getDashStyles().some((style) => style.id === id && !style.builtIn);
   }
 
   /**
@@ -365,39 +1059,59 @@ export class BrushPalette extends HandlebarsApplicationMixin(ApplicationV2) {
   }
 
   /**
-   * Action: Pick stroke color from swatch
+   * Action: Open (or close) the color picker for a color field. Each step
+   * sets the color and its opacity together; the finished color is added
+   * to the recent colors.
    */
-  static #pickStrokeColor(event, target) {
-    const color = target.dataset.color;
-    if (!color) return;
-
-    brush.strokeColor = color;
-    saveBrushSettings("strokeColor");
+  static #openColorPicker(event, target) {
+    const field = target.dataset.field;
+    const alphaField = ALPHA_FIELDS[field];
+    if (!alphaField) return;
 
-    // Update UI
-    const colorInput = this.element.querySelector('input[name="strokeColor"]');
-    const textInput = this.element.querySelector(
-      'input[name="strokeColorText"]',
-    );
-    if (colorInput) colorInput.value = color;
-    if (textInput) textInput.value = color;
+    const reopen = this.#colorPickerField !== field;
+    this.#colorPicker?.close();
+    if (!reopen) return;
 
-    // Update swatch active state
-    const swatches = this.element.querySelectorAll(
-      '[data-section="stroke"] .swatch',
-    );
-    swatches.forEach((swatch) => {
-      swatch.classList.toggle(
-        "active",
-        swatch.dataset.color?.toLowerCase() === color.toLowerCase(),
-      );
+    this.#colorPicker = new ColorPicker({
+      color: brush[field],
+      alpha: brush[alphaField],
+      onChange: (color, alpha, { commit }) => {
+        updateBrush({ [field]: color, [alphaField]: alpha });
+        if (commit) addRecentColor(RECENT_COLOR_KINDS[field], color);
+      },
+      onClose: () => {
+        this.#colorPicker = null;
+        this.#colorPickerField = null;
+        this.#refreshColorPickerButtons();
+      },
     });
+    this.#colorPickerField = field;
+    this.#colorPicker.render(target);
+    this.#refreshColorPickerButtons();
+  }
 
-    // Update legend preview
-    const preview = this.element.querySelector(
-      '[data-section="stroke"] .section-preview',
+  /**
+   * Action: Lighten or darken the text color until it reads on the fill
+   */
+  static #fixContrast() {
+    const color = fixContrast(
+      brush.textColor,
+      brush.fillColor,
+      CONTRAST_TARGET,
     );
-    if (preview) preview.style.backgroundColor = color;
+    if (color === brush.textColor) return;
+    updateBrush({ textColor: color });
+    addRecentColor("text", color);
+  }
+
+  /**
+   * Action: Pick stroke color from swatch
+   */
+  static #pickStrokeColor(event, target) {
+    const color = target.dataset.color;
+    if (!color) return;
+    updateBrush({ strokeColor: color });
+    addRecentColor("stroke", color);
   }
 
   /**
@@ -406,79 +1120,65 @@ export class BrushPalette extends HandlebarsApplicationMixin(ApplicationV2) {
   static #pickFillColor(event, target) {
     const color = target.dataset.color;
     if (!color) return;
+    updateBrush({ fillColor: color });
+    addRecentColor("fill", color);
+  }
 
-    brush.fillColor = color;
-    saveBrushSettings("fillColor");
-
-    // Update UI
-    const colorInput = this.element.querySelector('input[name="fillColor"]');
-    const textInput = this.element.querySelector('input[name="fillColorText"]');
-    if (colorInput) colorInput.value = color;
-    if (textInput) textInput.value = color;
-
-    // Update swatch active state
-    const swatches = this.element.querySelectorAll(
-      '[data-section="fill"] .swatch',
-    );
-    swatches.forEach((swatch) => {
-      swatch.classList.toggle(
-        "active",
-        swatch.dataset.color?.toLowerCase() === color.toLowerCase(),
-      );
-    });
+  /**
+   * Action: Pick text color from a recent-color swatch
+   */
+  static #pickTextColor(event, target) {
+    const color = target.dataset.color;
+    if (!color) return;
+    updateBrush({ textColor: color });
+    addRecentColor("text", color);
+  }
 
-    // Update legend preview
-    const preview = this.element.querySelector(
-      '[data-section="fill"] .section-preview',
-    );
-    if (preview) preview.style.backgroundColor = color;
+  /**
+   * Resolve the preset addressed by a button inside a preset row.
+   */
+  static #getPresetTarget(target) {
+    const row = target.closest(".preset-row");
+    const source = row?.dataset.source ?? "personal";
+    const presets = getPresets(source);
+    const index = presets.findIndex((p) => p.id === row?.dataset.presetId);
+    return { source, index, presets, preset: presets[index] };
   }
 
   /**
    * Action: Load a preset
    */
   static #loadPreset(event, target) {
-    const index = parseInt(target.dataset.index, 10);
-    const presets = getPresets();
-    const preset = presets[index];
-    if (!preset) return;
-
-    // Apply preset to brush
-    brush.strokeColor = preset.strokeColor ?? brush.strokeColor;
-    brush.strokeWidth = preset.strokeWidth ?? brush.strokeWidth;
-    brush.strokeAlpha = preset.strokeAlpha ?? brush.strokeAlpha;
-    brush.fillType = preset.fillType ?? brush.fillType;
-    brush.fillColor = preset.fillColor ?? brush.fillColor;
-    brush.fillAlpha = preset.fillAlpha ?? brush.fillAlpha;
-    brush.bezierFactor = preset.bezierFactor ?? brush.bezierFactor;
-    brush.strokeStyle = preset.strokeStyle ?? brush.strokeStyle;
-    brush.text = preset.text ?? brush.text;
-    brush.fontFamily = preset.fontFamily ?? brush.fontFamily;
-    brush.fontSize = preset.fontSize ?? brush.fontSize;
-    brush.textColor = preset.textColor ?? brush.textColor;
-    brush.textAlpha = preset.textAlpha ?? brush.textAlpha;
-
-    saveBrushSettings();
-
-    // Re-render to update all UI
-    this.render();
+    const { preset } = BrushPalette.#getPresetTarget(target);
+    if (preset) applyPreset(preset);
   }
 
   /**
    * Action: Delete a preset
    */
-  static #deletePreset(event, target) {
-    const index = parseInt(target.dataset.index, 10);
-    const presets = getPresets();
+  static async #deletePreset(event, target) {
+    const { source, index, presets, preset } =
+      BrushPalette.#getPresetTarget(target);
+    if (!preset || !canEditPresets(source)) return;
+    if (preset.locked) {
+      ui.notifications.warn(
+        game.i18n.localize("BRUSH_PALETTE.WarnPresetLocked"),
+      );
+      return;
+    }
     presets.splice(index, 1);
-    savePresets(presets);
+    await savePresets(presets, source);
     this.render();
   }
 
   /**
-   * Action: Save current brush as a preset
+   * Action: Save current brush as a preset.
+   * The button's data-source picks the personal or shared (GM) list.
    */
-  static #savePreset(event, target) {
+  static async #savePreset(event, target) {
+    const source = target.dataset.source ?? "personal";
+    if (!canEditPresets(source)) return;
+
     const nameInput = this.element.querySelector('input[name="presetName"]');
     const name = nameInput?.value?.trim();
     if (!name) {
@@ -488,32 +1188,492 @@ export class BrushPalette extends HandlebarsApplicationMixin(ApplicationV2) {
       return;
     }
 
-    const preset = {
-      name,
-      strokeColor: brush.strokeColor,
-      strokeWidth: brush.strokeWidth,
-      strokeAlpha: brush.strokeAlpha,
-      strokeStyle: brush.strokeStyle,
-      fillType: brush.fillType,
-      fillColor: brush.fillColor,
-      fillAlpha: brush.fillAlpha,
-      bezierFactor: brush.bezierFactor,
-      text: brush.text,
-      fontFamily: brush.fontFamily,
-      fontSize: brush.fontSize,
-      textColor: brush.textColor,
-      textAlpha: brush.textAlpha,
-    };
-
-    const presets = getPresets();
-    presets.push(preset);
-    savePresets(presets);
+    const presets = getPresets(source);
+    presets.push(createPresetFromBrush(name));
+    await savePresets(presets, source);
 
     // Clear input and re-render
     if (nameInput) nameInput.value = "";
     this.render();
   }
 
+  /**
+   * Action: Copy a shared preset into the user's personal presets
+   */
+  static async #copyPreset(event, target) {
+    const { preset } = BrushPalette.#getPresetTarget(target);
+    if (!preset) return;
+
+    // The copy gets a new id on save and is editable
+    const copy = { ...preset };
+    delete copy.locked;
+    delete copy.id;
+    const presets = getPresets("personal");
+    presets.push(copy);
+    await savePresets(presets, "personal");
+    ui.notifications.info(
+      game.i18n.format("BRUSH_PALETTE.PresetCopied", { name: preset.name }),
+    );
+    this.render();
+  }
+
+  /**
+   * Action: Replace a preset's settings with the current brush. Its id,
+   * name and category are kept.
+   */
+  static async #overwritePreset(event, target) {
+    const { source, index, presets, preset } =
+      BrushPalette.#getPresetTarget(target);
+    if (!preset || !canEditPresets(source)) return;
+    if (preset.locked) {
+      ui.notifications.warn(
+        game.i18n.localize("BRUSH_PALETTE.WarnPresetLocked"),
+      );
+      return;
+    }
+    presets[index] = {
+      ...preset,
+      ...createPresetFromBrush(preset.name),
+      id: preset.id,
+    };
+    await savePresets(presets, source);
+    this.render();
+  }
+
+  /**
+   * Action: Lock or unlock a shared preset against edits and deletion (GM)
+   */
+  static async #togglePresetLock(event, target) {
+    const { source, index, presets, preset } =
+      BrushPalette.#getPresetTarget(target);
+    if (!preset || source !== "shared" || !canEditPresets(source)) return;
+    presets[index] = { ...preset, locked: !preset.locked };
+    await savePresets(presets, source);
+    this.render();
+  }
+
+  /**
+   * Action: Show or hide a preset in the radial quick-pick menu
+   */
+  static async #togglePresetFavorite(event, target) {
+    const { preset } = BrushPalette.#getPresetTarget(target);
+    if (preset) await toggleFavoritePreset(preset.id);
+  }
+
+  /**
+   * Action: Rename a preset in place. Enter or leaving the field saves,
+   * Escape cancels.
+   */
+  static #renamePreset(event, target) {
+    const { source, preset } = BrushPalette.#getPresetTarget(target);
+    if (!preset || !canEditPresets(source) || preset.locked) return;
+    const row = target.closest(".preset-row");
+    const load = row.querySelector(".preset-load");
+    if (!load || row.querySelector(".preset-rename-input")) return;
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "preset-rename-input";
+    input.value = preset.name;
+    input.maxLength = 30;
+    input.setAttribute(
+      "aria-label",
+      game.i18n.localize("BRUSH_PALETTE.PresetRename"),
+    );
+
+    let done = false;
+    const finish = async (save) => {
+      if (done) return;
+      done = true;
+      const name = input.value.trim();
+      input.remove();
+      load.hidden = false;
+      if (!save || !name || name === preset.name) return;
+      await updatePreset(preset.id, { name }, source);
+      this.render();
+    };
+    input.addEventListener("keydown", (ev) => {
+      if (ev.key !== "Enter" && ev.key !== "Escape") return;
+      ev.preventDefault();
+      ev.stopPropagation();
+      finish(ev.key === "Enter");
+    });
+    input.addEventListener("blur", () => finish(true));
+
+    load.hidden = true;
+    load.after(input);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Action: Put a preset in a category (a new or an existing one), or
+   * take it out with an empty name
+   */
+  static async #setPresetCategory(event, target) {
+    const { source, preset } = BrushPalette.#getPresetTarget(target);
+    if (!preset || !canEditPresets(source) || preset.locked) return;
+
+    const esc = Handlebars.escapeExpression;
+    const listId = `${MODULE_ID}-preset-categories`;
+    const options = getPresetCategories()
+      .map((category) => `<option value="${esc(category)}">`)
+      .join("");
+    const category = await foundry.applications.api.DialogV2.prompt({
+      window: {
+        title: game.i18n.format("BRUSH_PALETTE.PresetCategoryTitle", {
+          name: preset.name,
+        }),
+      },
+      content: `
+        <input type="text" name="category" value="${esc(preset.category ?? "")}" list="${listId}"
+               placeholder="${game.i18n.localize("BRUSH_PALETTE.PresetCategoryNone")}" autofocus>
+        <datalist id="${listId}">${options}</datalist>`,
+      ok: {
+        label: "BRUSH_PALETTE.Save",
+        callback: (event, button) => button.form.elements.category.value.trim(),
+      },
+      rejectClose: false,
+    });
+    if (typeof category !== "string") return;
+    await updatePreset(preset.id, { category }, source);
+    this.render();
+  }
+
+  /**
+   * Action: Download presets and swatches as a JSON file
+   */
+  static #exportPresets() {
+    exportPaletteData();
+  }
+
+  /**
+   * Action: Import presets and swatches from a JSON file
+   */
+  static async #importPresets() {
+    await importPaletteData();
+  }
+
+  /**
+   * Action: Load the custom swatches from a palette file
+   */
+  static async #importSwatches() {
+    await importSwatchFile();
+  }
+
+  /**
+   * Action: Download the swatches as a palette file
+   */
+  static async #exportSwatches() {
+    await exportSwatchFile();
+  }
+
+  /**
+   * Action: Create an empty swatch set
+   */
+  static async #createSwatchSet() {
+    const name = await BrushPalette.#promptSwatchSetName(
+      "BRUSH_PALETTE.SwatchSetNew",
+      game.i18n.localize("BRUSH_PALETTE.SwatchSetNewName"),
+    );
+    if (name) await createSwatchSet(name);
+  }
+
+  /**
+   * Action: Copy the current theme or swatch set into a new set
+   */
+  static async #duplicateSwatchSet() {
+    await duplicateSwatchSet();
+  }
+
+  /**
+   * Action: Rename the current swatch set
+   */
+  static async #renameSwatchSet() {
+    const id = getSwatchTheme();
+    const current = getSwatchThemes().find((theme) => theme.id === id);
+    if (!current?.custom) return;
+    const name = await BrushPalette.#promptSwatchSetName(
+      "BRUSH_PALETTE.SwatchSetRename",
+      current.name,
+    );
+    if (name) await renameSwatchSet(id, name);
+  }
+
+  /**
+   * Action: Delete the current swatch set
+   */
+  static async #deleteSwatchSet() {
+    const id = getSwatchTheme();
+    const current = getSwatchThemes().find((theme) => theme.id === id);
+    if (!current?.custom) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize("BRUSH_PALETTE.SwatchSetDelete") },
+      content: `<p>${game.i18n.format("BRUSH_PALETTE.SwatchSetDeleteConfirm", { name: Handlebars.escapeExpression(current.name) })}</p>`,
+      yes: { default: false },
+      no: { default: true },
+      rejectClose: false,
+    });
+    if (confirmed) await deleteSwatchSet(id);
+  }
+
+  /**
+   * Action: Add the stroke color to the current swatch set (a built-in
+   * theme is copied into a new set first)
+   */
+  static async #addSwatch() {
+    await pinSwatchColor(brush.strokeColor);
+  }
+
+  /**
+   * Action: Generate a color harmony as a new swatch set
+   */
+  static async #generateHarmony() {
+    await openHarmonyDialog();
+  }
+
+  /**
+   * Ask for a swatch set name.
+   * @returns {Promise<string|null>}
+   */
+  static async #promptSwatchSetName(title, value) {
+    const name = await foundry.applications.api.DialogV2.prompt({
+      window: { title: game.i18n.localize(title) },
+      content: `<input type="text" name="name" value="${Handlebars.escapeExpression(value)}" autofocus>`,
+      ok: {
+        label: "BRUSH_PALETTE.Save",
+        callback: (event, button) => button.form.elements.name.value.trim(),
+      },
+      rejectClose: false,
+    });
+    return name || null;
+  }
+
+  /**
+   * Action: Browse for a pattern fill texture
+   */
+  static #pickTexture(event, target) {
+    const FP =
+      foundry.applications.apps?.FilePicker?.implementation ?? FilePicker;
+    new FP({
+      type: "image",
+      current: brush.texture || "",
+      callback: (path) => {
+        updateBrush({ texture: path });
+      },
+    }).render(true);
+  }
+
+  /**
+   * Action: Open or close a section popover on the docked toolbar. One is
+   * open at a time.
+   */
+  static #togglePopover(event, target) {
+    const section = target.closest(".toolbar-section")?.dataset.section;
+    if (!section) return;
+    this.#openPopover = this.#openPopover === section ? null : section;
+    this.element.querySelectorAll(".toolbar-section").forEach((element) => {
+      const open = element.dataset.section === this.#openPopover;
+      element.classList.toggle("open", open);
+      element
+        .querySelector(".toolbar-popover-btn")
+        ?.setAttribute("aria-expanded", String(open));
+    });
+    // The label box can only fit its text once it is shown
+    if (this.#openPopover === "text") {
+      this.#autoGrowTextarea(
+        this.element.querySelector('textarea[name="text"]'),
+      );
+    }
+  }
+
+  /**
+   * Action: Dock the palette as a toolbar at the top of the screen
+   */
+  static #dockTop() {
+    setPaletteLayout("top");
+  }
+
+  /**
+   * Action: Dock the palette as a toolbar at the bottom of the screen
+   */
+  static #dockBottom() {
+    setPaletteLayout("bottom");
+  }
+
+  /**
+   * Action: Dock the palette as a toolbar beside the scene controls
+   */
+  static #dockControls() {
+    setPaletteLayout("controls");
+  }
+
+  /**
+   * Action: Turn the docked toolbar back into a floating window
+   */
+  static #undockPalette() {
+    setPaletteLayout("window");
+  }
+
+  /**
+   * Action: Undo the last palette edit to drawings
+   */
+  static async #undoEdit() {
+    await undoPaletteEdit();
+  }
+
+  /**
+   * Action: Redo the last undone palette edit
+   */
+  static async #redoEdit() {
+    await redoPaletteEdit();
+  }
+
+  /**
+   * Action: Start (or cancel) picking a style or color from the canvas
+   */
+  static #eyedropper(event, target) {
+    const mode = target.dataset.mode ?? "style";
+    if (getEyedropperMode() === mode) {
+      stopEyedropper();
+    } else {
+      stopPainting();
+      startEyedropper(mode);
+    }
+  }
+
+  /**
+   * Action: Copy the selected drawing's style for the format painter and
+   * start painting it onto clicked drawings
+   */
+  static #copyFormat() {
+    const drawing = getSelectedDrawings()[0];
+    if (!drawing) {
+      ui.notifications.warn(
+        game.i18n.localize("BRUSH_PALETTE.FormatCopyNoDrawing"),
+      );
+      return;
+    }
+    copyFormat(drawing);
+    stopEyedropper();
+    startPainting();
+  }
+
+  /**
+   * Action: Stop painting, or paste the copied style onto the selected
+   * drawings, or start painting it onto clicked drawings when none are
+   * selected. Shift, Ctrl or Alt paste only the stroke, fill or text.
+   */
+  static async #pasteFormat(event) {
+    const selected = getSelectedDrawings();
+    if (isPainting()) {
+      stopPainting();
+    } else if (selected.length) {
+      await pasteFormat(
+        selected.map((drawing) => drawing.document),
+        getPasteGroup(event),
+      );
+    } else {
+      stopEyedropper();
+      startPainting();
+    }
+  }
+
+  /**
+   * Action: Save the current dash pattern as a named style
+   */
+  static async #saveDashStyle(event, target) {
+    const input = this.element.querySelector('[name="dashStyleName"]');
+    const name = input?.value.trim();
+    if (!name) return;
+    if (!brush.strokeDash) {
+      ui.notifications.warn(game.i18n.localize("BRUSH_PALETTE.DashStyleEmpty"));
+      return;
+    }
+    if (!(await saveDashStyle(name, brush.strokeDash))) {
+      ui.notifications.warn(
+        game.i18n.format("BRUSH_PALETTE.DashStyleReserved", { name }),
+      );
+      return;
+    }
+    updateBrush({ strokeStyle: name });
+  }
+
+  /**
+   * Action: Delete the selected saved dash style. The brush keeps the
+   * pattern as a custom one.
+   */
+  static async #deleteDashStyle(event, target) {
+    const name = brush.strokeStyle;
+    if (!BrushPalette.#isSavedDashStyle(name)) return;
+    updateBrush({ strokeStyle: "custom" });
+    await deleteDashStyle(name);
+  }
+
+  /**
+   * Action: Restyle the viewed scene's drawings that match a filter
+   */
+  static async #restyleScene() {
+    await openRestyleDialog();
+  }
+
+  /**
+   * Action: Save the brush as the viewed scene's brush, or remove it
+   */
+  static async #sceneBrush() {
+    const scene = canvas?.scene;
+    if (!scene) return;
+    const profile = getSceneProfile(scene.id);
+
+    const buttons = [
+      {
+        action: "save",
+        label: "BRUSH_PALETTE.SceneBrushSave",
+        icon: "fas fa-save",
+        default: true,
+        callback: (event, button) => ({
+          action: "save",
+          includeTheme: button.form.elements.includeTheme.checked,
+        }),
+      },
+    ];
+    if (profile) {
+      buttons.push({
+        action: "clear",
+        label: "BRUSH_PALETTE.SceneBrushClear",
+        icon: "fas fa-trash",
+        callback: () => ({ action: "clear" }),
+      });
+    }
+    buttons.push({ action: "cancel", label: "Cancel", icon: "fas fa-times" });
+
+    const choice = await foundry.applications.api.DialogV2.wait({
+      window: { title: game.i18n.localize("BRUSH_PALETTE.SceneBrushTitle") },
+      content: `
+        <p>${game.i18n.format("BRUSH_PALETTE.SceneBrushContent", { scene: Handlebars.escapeExpression(scene.name) })}</p>
+        <div class="form-group">
+          <label>${game.i18n.localize("BRUSH_PALETTE.SceneBrushIncludeTheme")}</label>
+          <div class="form-fields">
+            <input type="checkbox" name="includeTheme" ${profile?.swatchTheme ? "checked" : ""}>
+          </div>
+        </div>`,
+      buttons,
+      rejectClose: false,
+    });
+
+    if (choice?.action === "save") {
+      await saveSceneProfile({ includeTheme: choice.includeTheme });
+      ui.notifications.info(
+        game.i18n.format("BRUSH_PALETTE.SceneBrushSaved", {
+          scene: scene.name,
+        }),
+      );
+    } else if (choice?.action === "clear") {
+      await clearSceneProfile();
+    }
+  }
+
   /**
    * Action: Reset brush to defaults
    */
@@ -524,13 +1684,20 @@ export class BrushPalette extends HandlebarsApplicationMixin(ApplicationV2) {
 
   /**
    * Right-click a swatch to edit its color (only when theme is "custom").
+   * Right-clicking a recent color pins it to the custom swatches instead.
    */
-  #onSwatchRightClick(event) {
+  async #onSwatchRightClick(event) {
     const swatch = event.target.closest(".swatch");
     if (!swatch) return;
 
-    const theme = game.settings.get("brush-palette", "swatchTheme");
-    if (theme !== "custom") {
+    if (swatch.classList.contains("recent")) {
+      event.preventDefault();
+      await pinSwatchColor(swatch.dataset.color);
+      this.render();
+      return;
+    }
+
+    if (!isSwatchSet(getSwatchTheme())) {
       ui.notifications.info(
         game.i18n.localize("BRUSH_PALETTE.SwatchEditCustomOnly"),
       );
@@ -542,6 +1709,12 @@ export class BrushPalette extends HandlebarsApplicationMixin(ApplicationV2) {
     const index = parseInt(swatch.dataset.index, 10);
     if (isNaN(index)) return;
 
+    // Shift+right-click removes the swatch
+    if (event.shiftKey) {
+      await removeSwatchColor(index);
+      return;
+    }
+
     // Create a temporary off-screen color input and trigger it
     const picker = document.createElement("input");
     picker.type = "color";
@@ -553,7 +1726,6 @@ export class BrushPalette extends HandlebarsApplicationMixin(ApplicationV2) {
       const newColor = picker.value;
       document.body.removeChild(picker);
       await saveSwatchColor(index, newColor);
-      this.render();
     });
 
     picker.addEventListener("cancel", () => {
@@ -562,4 +1734,154 @@ export class BrushPalette extends HandlebarsApplicationMixin(ApplicationV2) {
 
     picker.click();
   }
+
+  /**
+   * Start dragging a swatch of a swatch set.
+   */
+  #onSwatchDragStart(event) {
+    const swatch = event.target.closest?.('.swatch[draggable="true"]');
+    if (!swatch) return;
+    event.dataTransfer.setData("text/plain", swatch.dataset.color);
+    event.dataTransfer.effectAllowed = "move";
+    this.#draggedSwatch = swatch;
+    swatch.classList.add("dragging");
+  }
+
+  /**
+   * Allow dropping onto another swatch of the same row.
+   */
+  #onSwatchDragOver(event) {
+    const target = this.#getSwatchDropTarget(event);
+    if (!target) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "move";
+    target.classList.add("drop-target");
+  }
+
+  /**
+   * Clear the drop highlight when leaving a swatch.
+   */
+  #onSwatchDragLeave(event) {
+    event.target.closest?.(".swatch")?.classList.remove("drop-target");
+  }
+
+  /**
+   * Move the dragged swatch to the drop target's position.
+   */
+  async #onSwatchDrop(event) {
+    const target = this.#getSwatchDropTarget(event);
+    if (!target) return;
+    event.preventDefault();
+    const from = parseInt(this.#draggedSwatch.dataset.index, 10);
+    const to = parseInt(target.dataset.index, 10);
+    this.#onSwatchDragEnd();
+    if (!isNaN(from) && !isNaN(to)) await moveSwatchColor(from, to);
+  }
+
+  /**
+   * Clean up after a swatch drag.
+   */
+  #onSwatchDragEnd() {
+    this.#draggedSwatch?.classList.remove("dragging");
+    this.#draggedSwatch = null;
+    this.element
+      .querySelectorAll(".swatch.drop-target")
+      .forEach((swatch) => swatch.classList.remove("drop-target"));
+  }
+
+  /**
+   * Start dragging a preset row.
+   */
+  #onPresetDragStart(event) {
+    const row = event.target.closest?.('.preset-row[draggable="true"]');
+    if (!row) return;
+    event.dataTransfer.setData("text/plain", row.dataset.presetId);
+    event.dataTransfer.effectAllowed = "move";
+    this.#draggedPreset = row;
+    row.classList.add("dragging");
+  }
+
+  /**
+   * Allow dropping onto another preset of the same source, or onto a
+   * category header.
+   */
+  #onPresetDragOver(event) {
+    const target = this.#getPresetDropTarget(event);
+    if (!target) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "move";
+    target.classList.add("drop-target");
+  }
+
+  /**
+   * Clear the drop highlight when leaving a preset or category.
+   */
+  #onPresetDragLeave(event) {
+    event.target
+      .closest?.(".preset-row, .preset-group-header")
+      ?.classList.remove("drop-target");
+  }
+
+  /**
+   * Move the dragged preset in front of the target preset (taking on its
+   * category), or to the end of a category.
+   */
+  async #onPresetDrop(event) {
+    const target = this.#getPresetDropTarget(event);
+    if (!target) return;
+    event.preventDefault();
+    const { presetId: id, source } = this.#draggedPreset.dataset;
+    this.#onPresetDragEnd();
+
+    if (target.classList.contains("preset-row")) {
+      await movePreset(id, target.dataset.presetId, source);
+    } else {
+      const preset = getPresets(source).find((p) => p.id === id);
+      if (!preset || !canEditPresets(source) || preset.locked) return;
+      const category = target.closest(".preset-group").dataset.category;
+      await updatePreset(id, { category }, source);
+    }
+    this.render();
+  }
+
+  /**
+   * Clean up after a preset drag.
+   */
+  #onPresetDragEnd() {
+    this.#draggedPreset?.classList.remove("dragging");
+    this.#draggedPreset = null;
+    this.element
+      .querySelectorAll(
+        ".preset-row.drop-target, .preset-group-header.drop-target",
+      )
+      .forEach((el) => el.classList.remove("drop-target"));
+  }
+
+  /**
+   * Get the preset row or category header a dragged preset is over, if it
+   * can be dropped there.
+   */
+  #getPresetDropTarget(event) {
+    if (!this.#draggedPreset) return null;
+    const target = event.target.closest?.(".preset-row, .preset-group-header");
+    if (!target || target === this.#draggedPreset) return null;
+    if (
+      target.classList.contains("preset-row") &&
+      target.dataset.source !== this.#draggedPreset.dataset.source
+    ) {
+      return null;
+    }
+    return target;
+  }
+
+  /**
+   * Get the swatch a dragged swatch is over, if it can be dropped there.
+   */
+  #getSwatchDropTarget(event) {
+    if (!this.#draggedSwatch) return null;
+    const target = event.target.closest?.('.swatch[draggable="true"]');
+    if (!target || target === this.#draggedSwatch) return null;
+    if (target.parentElement !== this.#draggedSwatch.parentElement) return null;
+    return target;
+  }
 }
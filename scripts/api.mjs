@@ -0,0 +1,150 @@
+/**
+ * Public API for macros and other modules
+ *
+ * Available as `game.modules.get("brush-palette").api` from "init" onwards
+ * (brush values are loaded on "ready").
+ *
+ * Hooks (all fired with Hooks.callAll):
+ * - brushPalette.brushChanged(brush, { fields, target })
+ *     After any brush change is saved. `fields` lists the changed fields
+ *     (null when unknown) and `target` is "brush" or "drawings".
+ * - brushPalette.presetApplied(preset)
+ *     After a preset has been loaded into the brush.
+ * - brushPalette.drawingEdited(drawings, updates)
+ *     After the palette has updated the selected drawings, restyled
+ *     drawings across the scene or pasted a copied style onto drawings.
+ */
+
+import {
+  brush,
+  updateBrush,
+  applyPreset,
+  getPresets,
+  savePresets,
+  canEditPresets,
+  createPresetFromBrush,
+  validateBrushData,
+  getDashForStyle,
+  getSelectedDrawings,
+  getPalette,
+  openPalette,
+  closePalette,
+  togglePalette,
+} from "./module.mjs";
+
+const MODULE_ID = "brush-palette";
+
+/**
+ * Build the API object exposed on the module.
+ */
+export function createApi() {
+  return Object.freeze({
+    getBrush,
+    setBrush,
+    applyPreset: applyPresetByName,
+    getPresets: listPresets,
+    addPreset,
+    openPalette,
+    closePalette,
+    togglePalette,
+    getEditTarget,
+  });
+}
+
+/**
+ * Get a copy of the current brush.
+ * @returns {object}
+ */
+function getBrush() {
+  return foundry.utils.deepClone(brush);
+}
+
+/**
+ * Set brush fields. Values are validated like the palette's own inputs;
+ * unknown fields are ignored. While drawings are selected the change is
+ * applied to them, just as from the palette.
+ * @param {object} changes  e.g. { strokeColor: "#ff0000", strokeWidth: 4 }
+ * @returns {object} A copy of the resulting brush
+ */
+function setBrush(changes = {}) {
+  const validated = validateBrushData({ ...brush, ...changes });
+  const fields = Object.keys(changes).filter((field) => field in validated);
+  // A named stroke style brings its own dash pattern
+  if (fields.includes("strokeStyle") && !("strokeDash" in changes)) {
+    validated.strokeDash = getDashForStyle(validated.strokeStyle);
+    fields.push("strokeDash");
+  }
+  updateBrush(Object.fromEntries(fields.map((f) => [f, validated[f]])));
+  return getBrush();
+}
+
+/**
+ * Load a preset into the brush by id or name. Shared presets are searched
+ * first, as listed in the palette.
+ * @param {string} name  The preset's id or name
+ * @param {object} [options]
+ * @param {"personal"|"shared"} [options.source]  Only search this source
+ * @returns {boolean} Whether a preset was found
+ */
+function applyPresetByName(name, { source } = {}) {
+  const presets = listPresets({ source });
+  const preset =
+    presets.find((p) => p.id === name) ?? presets.find((p) => p.name === name);
+  if (!preset) return false;
+  applyPreset(preset);
+  return true;
+}
+
+/**
+ * List presets, shared first.
+ * @param {object} [options]
+ * @param {"personal"|"shared"} [options.source]  Only list this source
+ * @returns {object[]} Copies of the presets, each with its `source`
+ */
+function listPresets({ source } = {}) {
+  const sources = source ? [source] : ["shared", "personal"];
+  return sources.flatMap((s) =>
+    getPresets(s).map((preset) => ({
+      ...foundry.utils.deepClone(preset),
+      source: s,
+    })),
+  );
+}
+
+/**
+ * Add a preset. Without `data` the current brush is saved.
+ * @param {string} name
+ * @param {object|null} [data]  Brush fields for the preset
+ * @param {object} [options]
+ * @param {"personal"|"shared"} [options.source="personal"]
+ * @returns {Promise<boolean>} Whether the preset was added
+ */
+async function addPreset(name, data = null, { source = "personal" } = {}) {
+  name = typeof name === "string" ? name.trim() : "";
+  if (!name) return false;
+  if (!canEditPresets(source)) {
+    console.warn(`${MODULE_ID} | Only a GM can add shared presets.`);
+    return false;
+  }
+
+  const preset = data
+    ? { name, ...validateBrushData(data) }
+    : createPresetFromBrush(name);
+  await savePresets([...getPresets(source), preset], source);
+
+  const palette = getPalette();
+  if (palette?.rendered) palette.render();
+  return true;
+}
+
+/**
+ * Get what palette changes currently apply to: the selected drawings, or
+ * the brush used for new drawings.
+ * @returns {{target: "drawings"|"brush", drawings: DrawingDocument[]}}
+ */
+function getEditTarget() {
+  const drawings = getSelectedDrawings()
+    .map((drawing) => drawing.document)
+    .filter(Boolean);
+  return { target: drawings.length ? "drawings" : "brush", drawings };
+}
@@ -0,0 +1,437 @@
+/**
+ * Color math - CSS color parsing, conversions between hex, RGB, HSV and
+ * HSL, color vision simulation and WCAG contrast, shared by the palette,
+ * the color picker and the harmony generator.
+ * RGB channels are 0-255, hue is 0-360 and the other HSV/HSL components
+ * are 0-1.
+ */
+
+// Color vision deficiency simulation in linear RGB (Machado, Oliveira and
+// Fernandes 2009, full severity)
+const CVD_MATRICES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998],
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.01182, 0.04294, 0.968881],
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.3039],
+  ],
+};
+
+// Color vision types the palette can preview, with their label keys
+export const COLOR_VISION_TYPES = {
+  none: "BRUSH_PALETTE.VisionNormal",
+  protanopia: "BRUSH_PALETTE.VisionProtanopia",
+  deuteranopia: "BRUSH_PALETTE.VisionDeuteranopia",
+  tritanopia: "BRUSH_PALETTE.VisionTritanopia",
+};
+
+// CSS named colors
+const NAMED_COLORS = {
+  aliceblue: "#f0f8ff",
+  antiquewhite: "#faebd7",
+  aqua: "#00ffff",
+  aquamarine: "#7fffd4",
+  azure: "#f0ffff",
+  beige: "#f5f5dc",
+  bisque: "#ffe4c4",
+  black: "#000000",
+  blanchedalmond: "#ffebcd",
+  blue: "#0000ff",
+  blueviolet: "#8a2be2",
+  brown: "#a52a2a",
+  burlywood: "#deb887",
+  cadetblue: "#5f9ea0",
+  chartreuse: "#7fff00",
+  chocolate: "#d2691e",
+  coral: "#ff7f50",
+  cornflowerblue: "#6495ed",
+  cornsilk: "#fff8dc",
+  crimson: "#dc143c",
+  cyan: "#00ffff",
+  darkblue: "#00008b",
+  darkcyan: "#008b8b",
+  darkgoldenrod: "#b8860b",
+  darkgray: "#a9a9a9",
+  darkgreen: "#006400",
+  darkgrey: "#a9a9a9",
+  darkkhaki: "#bdb76b",
+  darkmagenta: "#8b008b",
+  darkolivegreen: "#556b2f",
+  darkorange: "#ff8c00",
+  darkorchid: "#9932cc",
+  darkred: "#8b0000",
+  darksalmon: "#e9967a",
+  darkseagreen: "#8fbc8f",
+  darkslateblue: "#483d8b",
+  darkslategray: "#2f4f4f",
+  darkslategrey: "#2f4f4f",
+  darkturquoise: "#00ced1",
+  darkviolet: "#9400d3",
+  deeppink: "#ff1493",
+  deepskyblue: "#00bfff",
+  dimgray: "#696969",
+  dimgrey: "#696969",
+  dodgerblue: "#1e90ff",
+  firebrick: "#b22222",
+  floralwhite: "#fffaf0",
+  forestgreen: "#228b22",
+  fuchsia: "#ff00ff",
+  gainsboro: "#dcdcdc",
+  ghostwhite: "#f8f8ff",
+  gold: "#ffd700",
+  goldenrod: "#daa520",
+  gray: "#808080",
+  green: "#008000",
+  greenyellow: "#adff2f",
+  grey: "#808080",
+  honeydew: "#f0fff0",
+  hotpink: "#ff69b4",
+  indianred: "#cd5c5c",
+  indigo: "#4b0082",
+  ivory: "#fffff0",
+  khaki: "#f0e68c",
+  lavender: "#e6e6fa",
+  lavenderblush: "#fff0f5",
+  lawngreen: "#7cfc00",
+  lemonchiffon: "#fffacd",
+  lightblue: "#add8e6",
+  lightcoral: "#f08080",
+  lightcyan: "#e0ffff",
+  lightgoldenrodyellow: "#fafad2",
+  lightgray: "#d3d3d3",
+  lightgreen: "#90ee90",
+  lightgrey: "#d3d3d3",
+  lightpink: "#ffb6c1",
+  lightsalmon: "#ffa07a",
+  lightseagreen: "#20b2aa",
+  lightskyblue: "#87cefa",
+  lightslategray: "#778899",
+  lightslategrey: "#778899",
+  lightsteelblue: "#b0c4de",
+  lightyellow: "#ffffe0",
+  lime: "#00ff00",
+  limegreen: "#32cd32",
+  linen: "#faf0e6",
+  magenta: "#ff00ff",
+  maroon: "#800000",
+  mediumaquamarine: "#66cdaa",
+  mediumblue: "#0000cd",
+  mediumorchid: "#ba55d3",
+  mediumpurple: "#9370db",
+  mediumseagreen: "#3cb371",
+  mediumslateblue: "#7b68ee",
+  mediumspringgreen: "#00fa9a",
+  mediumturquoise: "#48d1cc",
+  mediumvioletred: "#c71585",
+  midnightblue: "#191970",
+  mintcream: "#f5fffa",
+  mistyrose: "#ffe4e1",
+  moccasin: "#ffe4b5",
+  navajowhite: "#ffdead",
+  navy: "#000080",
+  oldlace: "#fdf5e6",
+  olive: "#808000",
+  olivedrab: "#6b8e23",
+  orange: "#ffa500",
+  orangered: "#ff4500",
+  orchid: "#da70d6",
+  palegoldenrod: "#eee8aa",
+  palegreen: "#98fb98",
+  paleturquoise: "#afeeee",
+  palevioletred: "#db7093",
+  papayawhip: "#ffefd5",
+  peachpuff: "#ffdab9",
+  peru: "#cd853f",
+  pink: "#ffc0cb",
+  plum: "#dda0dd",
+  powderblue: "#b0e0e6",
+  purple: "#800080",
+  rebeccapurple: "#663399",
+  red: "#ff0000",
+  rosybrown: "#bc8f8f",
+  royalblue: "#4169e1",
+  saddlebrown: "#8b4513",
+  salmon: "#fa8072",
+  sandybrown: "#f4a460",
+  seagreen: "#2e8b57",
+  seashell: "#fff5ee",
+  sienna: "#a0522d",
+  silver: "#c0c0c0",
+  skyblue: "#87ceeb",
+  slateblue: "#6a5acd",
+  slategray: "#708090",
+  slategrey: "#708090",
+  snow: "#fffafa",
+  springgreen: "#00ff7f",
+  steelblue: "#4682b4",
+  tan: "#d2b48c",
+  teal: "#008080",
+  thistle: "#d8bfd8",
+  tomato: "#ff6347",
+  turquoise: "#40e0d0",
+  violet: "#ee82ee",
+  wheat: "#f5deb3",
+  white: "#ffffff",
+  whitesmoke: "#f5f5f5",
+  yellow: "#ffff00",
+  yellowgreen: "#9acd32",
+};
+
+/**
+ * Split "#rrggbb" into 0-255 channels.
+ * @param {string} hex
+ * @returns {number[]}
+ */
+export function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Build "#rrggbb" from 0-255 channels (rounded and clamped).
+ * @param {number[]} rgb
+ * @returns {string}
+ */
+export function rgbToHex([r, g, b]) {
+  return `#${[r, g, b]
+    .map((c) => Math.clamp(Math.round(c), 0, 255).toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+/**
+ * Convert RGB channels to [hue, saturation, value].
+ */
+export function rgbToHsv([r, g, b]) {
+  [r, g, b] = [r / 255, g / 255, b / 255];
+  const max = Math.max(r, g, b);
+  const d = max - Math.min(r, g, b);
+  return [_hue(r, g, b, max, d), max ? d / max : 0, max];
+}
+
+/**
+ * Convert [hue, saturation, value] to RGB channels.
+ */
+export function hsvToRgb([h, s, v]) {
+  const c = v * s;
+  return _fromChroma(h, c, v - c);
+}
+
+/**
+ * Convert RGB channels to [hue, saturation, lightness].
+ */
+export function rgbToHsl([r, g, b]) {
+  [r, g, b] = [r / 255, g / 255, b / 255];
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const d = max - min;
+  const l = (max + min) / 2;
+  const s = d ? d / (1 - Math.abs(2 * l - 1)) : 0;
+  return [_hue(r, g, b, max, d), s, l];
+}
+
+/**
+ * Convert [hue, saturation, lightness] to RGB channels.
+ */
+export function hslToRgb([h, s, l]) {
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  return _fromChroma(h, c, l - c / 2);
+}
+
+/**
+ * Hue in degrees from normalized channels, their maximum and range.
+ */
+function _hue(r, g, b, max, d) {
+  if (!d) return 0;
+  let h;
+  if (max === r) h = ((g - b) / d) % 6;
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return (h * 60 + 360) % 360;
+}
+
+/**
+ * RGB channels from hue, chroma and the lightness match value.
+ */
+function _fromChroma(h, c, m) {
+  h = ((h % 360) + 360) % 360;
+  const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+  const sector = [
+    [c, x, 0],
+    [x, c, 0],
+    [0, c, x],
+    [0, x, c],
+    [x, 0, c],
+    [c, 0, x],
+  ][Math.floor(h / 60) % 6];
+  return sector.map((v) => (v + m) * 255);
+}
+
+/**
+ * Parse a CSS color: 3/4/6/8-digit hex (the "#" is optional), rgb()/rgba(),
+ * hsl()/hsla() in comma or space syntax, and named colors.
+ * @param {string} value
+ * @returns {{hex: string, alpha: number|null}|null}  Normalized "#rrggbb"
+ *   and the alpha component (0-1), or null if the color has none. Null for
+ *   anything that is not a color.
+ */
+export function parseColor(value) {
+  if (typeof value !== "string") return null;
+  const text = value.trim().toLowerCase();
+  if (!text) return null;
+
+  if (text in NAMED_COLORS) return { hex: NAMED_COLORS[text], alpha: null };
+  if (text === "transparent") return { hex: "#000000", alpha: 0 };
+
+  const hex = /^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(text)?.[1];
+  if (hex) {
+    const digits =
+      hex.length <= 4 ? [...hex].map((d) => d + d) : hex.match(/../g);
+    const [r, g, b, a] = digits.map((d) => parseInt(d, 16));
+    return {
+      hex: rgbToHex([r, g, b]),
+      alpha: a === undefined ? null : Math.round((a / 255) * 100) / 100,
+    };
+  }
+
+  const fn = /^(rgba?|hsla?)\((.*)\)$/.exec(text);
+  if (!fn) return null;
+  const args = _splitArgs(fn[2]);
+  if (!args) return null;
+
+  const [x, y, z] = args.channels;
+  const channels = fn[1].startsWith("rgb")
+    ? [x, y, z].map((c) => _parseNumber(c, 255))
+    : [_parseAngle(x), _parseNumber(y, 100) / 100, _parseNumber(z, 100) / 100];
+  const alpha = args.alpha === undefined ? null : _parseNumber(args.alpha, 1);
+  if ([...channels, alpha ?? 0].some((v) => !Number.isFinite(v))) return null;
+  const rgb = fn[1].startsWith("rgb") ? channels : hslToRgb(channels);
+  return {
+    hex: rgbToHex(rgb),
+    alpha: alpha === null ? null : Math.clamp(alpha, 0, 1),
+  };
+}
+
+/**
+ * Split the arguments of a color function into three channels and an
+ * optional alpha: "1, 2, 3, 0.5" or "1 2 3 / 50%".
+ */
+function _splitArgs(args) {
+  let parts;
+  if (args.includes(",")) {
+    parts = args.split(",").map((part) => part.trim());
+  } else {
+    const [channels, alpha, extra] = args.split("/");
+    if (extra !== undefined) return null;
+    parts = channels.trim().split(/\s+/);
+    if (alpha !== undefined) parts.push(alpha.trim());
+  }
+  if (parts.length < 3 || parts.length > 4 || parts.some((p) => !p)) {
+    return null;
+  }
+  return { channels: parts.slice(0, 3), alpha: parts[3] };
+}
+
+/**
+ * Parse a number or percentage; a percentage is taken of `max`.
+ */
+function _parseNumber(value, max) {
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)%?$/.test(value)) return NaN;
+  const number = parseFloat(value);
+  const result = value.endsWith("%") ? (number / 100) * max : number;
+  return Math.clamp(result, 0, max);
+}
+
+/**
+ * Parse a hue in degrees, or with a deg/grad/rad/turn unit.
+ */
+function _parseAngle(value) {
+  const match = /^([+-]?(?:\d+\.?\d*|\.\d+))(deg|grad|rad|turn)?$/.exec(value);
+  if (!match) return NaN;
+  const factor = { grad: 0.9, rad: 180 / Math.PI, turn: 360 }[match[2]] ?? 1;
+  return parseFloat(match[1]) * factor;
+}
+
+/**
+ * Show how a color looks with a color vision deficiency.
+ * @param {string} hex  "#rrggbb"
+ * @param {"protanopia"|"deuteranopia"|"tritanopia"} type
+ * @returns {string} "#rrggbb"; the color itself for an unknown type
+ */
+export function simulateColorVision(hex, type) {
+  const matrix = CVD_MATRICES[type];
+  if (!matrix) return hex;
+  const linear = hexToRgb(hex).map((c) => _toLinear(c / 255));
+  const simulated = matrix.map((row) =>
+    row.reduce((sum, k, i) => sum + k * linear[i], 0),
+  );
+  return rgbToHex(simulated.map((c) => _fromLinear(Math.clamp(c, 0, 1)) * 255));
+}
+
+/**
+ * WCAG relative luminance of a color (0-1).
+ * @param {string} hex  "#rrggbb"
+ */
+export function relativeLuminance(hex) {
+  const [r, g, b] = hexToRgb(hex).map((c) => _toLinear(c / 255));
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two colors, from 1 to 21.
+ * @param {string} a  "#rrggbb"
+ * @param {string} b  "#rrggbb"
+ */
+export function contrastRatio(a, b) {
+  const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort(
+    (x, y) => y - x,
+  );
+  return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * Adjust a color's lightness, keeping its hue and saturation, until it
+ * reaches a contrast ratio against a background. The smallest change that
+ * works is used; if none does, black or white, whichever contrasts more.
+ * @param {string} color  "#rrggbb"
+ * @param {string} background  "#rrggbb"
+ * @param {number} target  Contrast ratio to reach
+ * @returns {string} "#rrggbb"
+ */
+export function fixContrast(color, background, target) {
+  if (contrastRatio(color, background) >= target) return color;
+  const [h, s, l] = rgbToHsl(hexToRgb(color));
+  for (let step = 1; step <= 100; step++) {
+    for (const lightness of [l + step / 100, l - step / 100]) {
+      if (lightness < 0 || lightness > 1) continue;
+      const hex = rgbToHex(hslToRgb([h, s, lightness]));
+      if (contrastRatio(hex, background) >= target) return hex;
+    }
+  }
+  return contrastRatio("#000000", background) >=
+    contrastRatio("#ffffff", background)
+    ? "#000000"
+    : "#ffffff";
+}
+
+/**
+ * sRGB channel (0-1) to linear light.
+ */
+function _toLinear(c) {
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+}
+
+/**
+ * Linear light to an sRGB channel (0-1).
+ */
+function _fromLinear(c) {
+  return c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055;
+}
@@ -0,0 +1,403 @@
+/**
+ * Color picker - inline popover with a saturation/value square, hue and
+ * alpha strips and HEX/RGB/HSL inputs. One gesture sets a color together
+ * with its opacity.
+ */
+
+import {
+  parseColor,
+  hexToRgb,
+  rgbToHex,
+  rgbToHsv,
+  hsvToRgb,
+  rgbToHsl,
+  hslToRgb,
+} from "./color.mjs";
+
+const MODULE_ID = "brush-palette";
+
+const HEX_COLOR = /^#?([0-9a-f]{6})$/i;
+
+export class ColorPicker {
+  // Hue, saturation, value and alpha. Kept as HSV so the hue survives
+  // dragging through grays, where it can't be derived from the color.
+  #hsva = [0, 0, 0, 1];
+
+  #onChange;
+  #onClose;
+
+  // The popover element, while open
+  element = null;
+
+  // Strip or square being dragged
+  #dragging = null;
+
+  // Listeners on the document, to close the popover
+  #onDocumentPointerDown = (event) => {
+    if (this.element?.contains(event.target)) return;
+    if (event.target.closest?.('[data-action="openColorPicker"]')) return;
+    this.close();
+  };
+  #onDocumentKeyDown = (event) => {
+    if (event.key !== "Escape") return;
+    event.stopPropagation();
+    this.close();
+  };
+
+  /**
+   * @param {object} options
+   * @param {string} options.color  Starting "#rrggbb" color
+   * @param {number} options.alpha  Starting opacity (0-1)
+   * @param {(color: string, alpha: number, options: {commit: boolean}) => void} options.onChange
+   *   Called on every step of a gesture; `commit` is true once it ends
+   * @param {() => void} [options.onClose]
+   */
+  constructor({ color, alpha, onChange, onClose }) {
+    this.#onChange = onChange;
+    this.#onClose = onClose;
+    this.#setState(color, alpha);
+  }
+
+  /**
+   * The current color as "#rrggbb".
+   */
+  get color() {
+    return rgbToHex(hsvToRgb(this.#hsva));
+  }
+
+  /**
+   * The current opacity (0-1).
+   */
+  get alpha() {
+    return this.#hsva[3];
+  }
+
+  /**
+   * Open the popover next to an element.
+   * @param {HTMLElement} anchor
+   */
+  render(anchor) {
+    if (!this.element) {
+      this.element = this.#createElement();
+      document.body.append(this.element);
+      document.addEventListener(
+        "pointerdown",
+        this.#onDocumentPointerDown,
+        true,
+      );
+      document.addEventListener("keydown", this.#onDocumentKeyDown, true);
+    }
+    this.#position(anchor);
+    this.#refresh();
+  }
+
+  /**
+   * Close the popover.
+   */
+  close() {
+    if (!this.element) return;
+    document.removeEventListener(
+      "pointerdown",
+      this.#onDocumentPointerDown,
+      true,
+    );
+    document.removeEventListener("keydown", this.#onDocumentKeyDown, true);
+    this.element.remove();
+    this.element = null;
+    this.#onClose?.();
+  }
+
+  /**
+   * Show a color set elsewhere (inputs, swatches, keybindings). Ignored
+   * while it matches the picker, so the picker's own changes coming back
+   * don't reset the hue.
+   * @param {string} color
+   * @param {number} alpha
+   */
+  setColor(color, alpha) {
+    if (this.#dragging) return;
+    if (color?.toLowerCase() === this.color && alpha === this.alpha) return;
+    this.#setState(color, alpha);
+    this.#refresh();
+  }
+
+  /**
+   * Set the HSVA state from a color and opacity.
+   */
+  #setState(color, alpha) {
+    const hsv = HEX_COLOR.test(color ?? "")
+      ? rgbToHsv(hexToRgb(color))
+      : [0, 0, 0];
+    // Grays have no hue of their own: keep the last one
+    if (!hsv[1]) hsv[0] = this.#hsva[0];
+    const a = Number(alpha);
+    this.#hsva = [...hsv, Number.isFinite(a) ? Math.clamp(a, 0, 1) : 1];
+  }
+
+  /**
+   * Build the popover.
+   */
+  #createElement() {
+    const label = (key) => game.i18n.localize(`BRUSH_PALETTE.${key}`);
+    const number = (name, max, title) =>
+      `<input type="number" name="${name}" min="0" max="${max}" step="1" title="${title}" aria-label="${title}">`;
+
+    const element = document.createElement("div");
+    element.className = `${MODULE_ID}-color-picker`;
+    element.innerHTML = `
+      <div class="picker-sv" data-drag="sv" role="slider" tabindex="0" aria-label="${label("PickerSaturation")}">
+        <span class="picker-handle"></span>
+      </div>
+      <div class="picker-strip picker-hue" data-drag="hue" role="slider" tabindex="0" aria-label="${label("PickerHue")}">
+        <span class="picker-handle"></span>
+      </div>
+      <div class="picker-strip picker-alpha" data-drag="alpha" role="slider" tabindex="0" aria-label="${label("PickerAlpha")}">
+        <span class="picker-alpha-fill"></span>
+        <span class="picker-handle"></span>
+      </div>
+      <div class="picker-row">
+        <label>HEX</label>
+        <input type="text" name="pickerHex" aria-label="HEX">
+        <input type="number" name="pickerAlpha" min="0" max="100" step="1" title="${label("PickerAlpha")}" aria-label="${label("PickerAlpha")}">
+      </div>
+      <div class="picker-row">
+        <label>RGB</label>
+        ${number("pickerR", 255, "R")}${number("pickerG", 255, "G")}${number("pickerB", 255, "B")}
+      </div>
+      <div class="picker-row">
+        <label>HSL</label>
+        ${number("pickerH", 360, "H")}${number("pickerS", 100, "S")}${number("pickerL", 100, "L")}
+      </div>`;
+
+    element.addEventListener("pointerdown", this.#onPointerDown.bind(this));
+    element.addEventListener("pointermove", this.#onPointerMove.bind(this));
+    element.addEventListener("pointerup", this.#onPointerUp.bind(this));
+    element.addEventListener("pointercancel", this.#onPointerUp.bind(this));
+    element.addEventListener("keydown", this.#onKeyDown.bind(this));
+    element.addEventListener("keyup", this.#onKeyUp.bind(this));
+    element.addEventListener("input", this.#onInput.bind(this));
+    element.addEventListener("change", this.#onInput.bind(this));
+    return element;
+  }
+
+  /**
+   * Place the popover below the anchor, kept inside the viewport.
+   */
+  #position(anchor) {
+    const rect = anchor.getBoundingClientRect();
+    const { offsetWidth: width, offsetHeight: height } = this.element;
+    let top = rect.bottom + 4;
+    if (top + height > window.innerHeight) top = rect.top - height - 4;
+    const left = Math.clamp(
+      rect.right - width,
+      4,
+      window.innerWidth - width - 4,
+    );
+    this.element.style.top = `${Math.max(4, top)}px`;
+    this.element.style.left = `${left}px`;
+  }
+
+  /**
+   * Start dragging the square or a strip.
+   */
+  #onPointerDown(event) {
+    const area = event.target.closest("[data-drag]");
+    if (!area || event.button !== 0) return;
+    event.preventDefault();
+    area.setPointerCapture(event.pointerId);
+    area.focus();
+    this.#dragging = area;
+    this.#dragTo(event);
+  }
+
+  /**
+   * Follow the pointer while dragging.
+   */
+  #onPointerMove(event) {
+    if (this.#dragging) this.#dragTo(event);
+  }
+
+  /**
+   * Commit the color once the gesture ends.
+   */
+  #onPointerUp(event) {
+    if (!this.#dragging) return;
+    this.#dragging.releasePointerCapture?.(event.pointerId);
+    this.#dragging = null;
+    this.#emit(true);
+  }
+
+  /**
+   * Set the color from the pointer position in the dragged area.
+   */
+  #dragTo(event) {
+    const area = this.#dragging;
+    const rect = area.getBoundingClientRect();
+    const x = Math.clamp((event.clientX - rect.left) / rect.width, 0, 1);
+    const y = Math.clamp((event.clientY - rect.top) / rect.height, 0, 1);
+    const hsva = [...this.#hsva];
+    switch (area.dataset.drag) {
+      case "sv":
+        hsva[1] = x;
+        hsva[2] = 1 - y;
+        break;
+      case "hue":
+        hsva[0] = x * 360;
+        break;
+      case "alpha":
+        hsva[3] = Math.round(x * 100) / 100;
+        break;
+    }
+    this.#update(hsva, false);
+  }
+
+  /**
+   * Arrow keys nudge the focused square or strip.
+   */
+  #onKeyDown(event) {
+    const area = event.target.closest?.("[data-drag]");
+    const step = {
+      ArrowLeft: [-1, 0],
+      ArrowRight: [1, 0],
+      ArrowUp: [0, 1],
+      ArrowDown: [0, -1],
+    }[event.key];
+    if (!area || !step) return;
+    event.preventDefault();
+    event.stopPropagation();
+    const [dx, dy] = step.map((v) => v * (event.shiftKey ? 10 : 1));
+    const hsva = [...this.#hsva];
+    switch (area.dataset.drag) {
+      case "sv":
+        hsva[1] = Math.clamp(hsva[1] + dx / 100, 0, 1);
+        hsva[2] = Math.clamp(hsva[2] + dy / 100, 0, 1);
+        break;
+      case "hue":
+        hsva[0] = Math.clamp(hsva[0] + dx + dy, 0, 360);
+        break;
+      case "alpha":
+        hsva[3] = Math.clamp(Math.round(hsva[3] * 100 + dx + dy) / 100, 0, 1);
+        break;
+    }
+    this.#update(hsva, false);
+  }
+
+  /**
+   * Commit the color once an arrow key is released.
+   */
+  #onKeyUp(event) {
+    if (!event.target.closest?.("[data-drag]")) return;
+    if (event.key.startsWith("Arrow")) this.#emit(true);
+  }
+
+  /**
+   * Apply a value typed into the HEX, RGB, HSL or alpha inputs.
+   */
+  #onInput(event) {
+    const name = event.target.name;
+    if (!name?.startsWith("picker")) return;
+
+    const commit = event.type === "change";
+    const field = (n) =>
+      Number(this.element.querySelector(`[name="${n}"]`).value) || 0;
+    const hsva = [...this.#hsva];
+
+    switch (name) {
+      case "pickerHex": {
+        // Any CSS color; as in the palette's text fields, short forms only
+        // apply once editing is done
+        const value = event.target.value.trim();
+        const color = parseColor(value);
+        if (!color || !(commit || HEX_COLOR.test(value))) return;
+        const hsv = rgbToHsv(hexToRgb(color.hex));
+        if (!hsv[1]) hsv[0] = hsva[0];
+        hsva.splice(0, 3, ...hsv);
+        if (color.alpha !== null) hsva[3] = color.alpha;
+        break;
+      }
+      case "pickerR":
+      case "pickerG":
+      case "pickerB": {
+        const rgb = ["pickerR", "pickerG", "pickerB"].map((n) =>
+          Math.clamp(field(n), 0, 255),
+        );
+        const hsv = rgbToHsv(rgb);
+        if (!hsv[1]) hsv[0] = hsva[0];
+        hsva.splice(0, 3, ...hsv);
+        break;
+      }
+      case "pickerH":
+      case "pickerS":
+      case "pickerL": {
+        const h = Math.clamp(field("pickerH"), 0, 360);
+        const s = Math.clamp(field("pickerS"), 0, 100) / 100;
+        const l = Math.clamp(field("pickerL"), 0, 100) / 100;
+        const hsv = rgbToHsv(hslToRgb([h, s, l]));
+        hsv[0] = h;
+        hsva.splice(0, 3, ...hsv);
+        break;
+      }
+      case "pickerAlpha":
+        hsva[3] = Math.clamp(field("pickerAlpha"), 0, 100) / 100;
+        break;
+      default:
+        return;
+    }
+    this.#update(hsva, commit, event.target);
+  }
+
+  /**
+   * Store a new state, redraw and report it.
+   */
+  #update(hsva, commit, source) {
+    this.#hsva = hsva;
+    this.#refresh(source);
+    this.#emit(commit);
+  }
+
+  /**
+   * Report the current color and opacity.
+   */
+  #emit(commit) {
+    this.#onChange?.(this.color, this.alpha, { commit });
+  }
+
+  /**
+   * Move the handles and fill the inputs to match the state. The input
+   * being typed in is left alone.
+   */
+  #refresh(source) {
+    const element = this.element;
+    if (!element) return;
+    const [h, s, v, a] = this.#hsva;
+    const color = this.color;
+    const rgb = hexToRgb(color);
+    const [, hs, hl] = rgbToHsl(rgb);
+
+    element.style.setProperty("--picker-hue", `hsl(${h} 100% 50%)`);
+    element.style.setProperty("--picker-color", color);
+    const place = (selector, x, y) => {
+      const handle = element.querySelector(`${selector} .picker-handle`);
+      handle.style.left = `${x * 100}%`;
+      if (y !== undefined) handle.style.top = `${y * 100}%`;
+    };
+    place(".picker-sv", s, 1 - v);
+    place(".picker-hue", h / 360);
+    place(".picker-alpha", a);
+
+    const values = {
+      pickerHex: color,
+      pickerAlpha: Math.round(a * 100),
+      pickerR: rgb[0],
+      pickerG: rgb[1],
+      pickerB: rgb[2],
+      pickerH: Math.round(h),
+      pickerS: Math.round(hs * 100),
+      pickerL: Math.round(hl * 100),
+    };
+    for (const [name, value] of Object.entries(values)) {
+      const input = element.querySelector(`[name="${name}"]`);
+      if (input && input !== source) input.value = value;
+    }
+  }
+}
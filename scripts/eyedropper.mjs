@@ -0,0 +1,154 @@
+/**
+ * Eyedropper - pick up a style or color from the canvas with one click
+ *
+ * Clicking a drawing copies its style (or one of its colors) into the brush.
+ * Clicking anywhere else samples the rendered pixel color.
+ */
+
+import {
+  getPalette,
+  sampleDrawingStyle,
+  sampleCanvasColor,
+} from "./module.mjs";
+
+const MODULE_ID = "brush-palette";
+
+// Active mode ("style", "stroke", "fill", "text"), or null when inactive
+let _mode = null;
+
+/**
+ * Start picking. The next click on the canvas is consumed by the eyedropper
+ * instead of selecting or drawing; Escape cancels.
+ * @param {"style"|"stroke"|"fill"|"text"} mode
+ */
+export function startEyedropper(mode) {
+  if (!canvas?.ready) return;
+  if (_mode) stopEyedropper();
+
+  _mode = mode;
+  // Capture phase on window runs before the canvas's own pointer handlers
+  window.addEventListener("pointerdown", _onPointerDown, true);
+  window.addEventListener("keydown", _onKeyDown, true);
+  canvas.app.view.style.cursor = "crosshair";
+  _refreshPalette();
+}
+
+/**
+ * Leave eyedropper mode without sampling.
+ */
+export function stopEyedropper() {
+  if (!_mode) return;
+  _mode = null;
+  window.removeEventListener("pointerdown", _onPointerDown, true);
+  window.removeEventListener("keydown", _onKeyDown, true);
+  if (canvas?.app?.view) canvas.app.view.style.cursor = "";
+  _refreshPalette();
+}
+
+/**
+ * Get the active eyedropper mode, or null.
+ */
+export function getEyedropperMode() {
+  return _mode;
+}
+
+/**
+ * Sample whatever is under the pointer, then leave eyedropper mode.
+ */
+function _onPointerDown(event) {
+  if (event.target !== canvas.app?.view) return;
+  if (event.button !== 0) {
+    // Any other button cancels
+    stopEyedropper();
+    return;
+  }
+
+  event.preventDefault();
+  event.stopPropagation();
+
+  const mode = _mode;
+  const point = canvas.canvasCoordinatesFromClient({
+    x: event.clientX,
+    y: event.clientY,
+  });
+  const drawing = getDrawingAt(point);
+
+  try {
+    if (drawing) {
+      sampleDrawingStyle(drawing, mode);
+    } else {
+      const color = _getPixelColor(event.clientX, event.clientY);
+      if (color) sampleCanvasColor(color, mode);
+    }
+  } catch (err) {
+    console.warn(`${MODULE_ID} | Eyedropper failed:`, err);
+  }
+
+  stopEyedropper();
+}
+
+/**
+ * Cancel on Escape.
+ */
+function _onKeyDown(event) {
+  if (event.key !== "Escape") return;
+  event.preventDefault();
+  event.stopPropagation();
+  stopEyedropper();
+}
+
+/**
+ * Find the top-most visible drawing whose bounds contain a canvas point.
+ * @param {{x: number, y: number}} point
+ * @returns {Drawing|null}
+ */
+export function getDrawingAt(point) {
+  const hits = (canvas.drawings?.placeables ?? []).filter(
+    (d) => d.visible && d.bounds?.contains(point.x, point.y),
+  );
+  hits.sort(
+    (a, b) =>
+      (a.document.elevation ?? 0) - (b.document.elevation ?? 0) ||
+      (a.document.sort ?? 0) - (b.document.sort ?? 0),
+  );
+  return hits.at(-1) ?? null;
+}
+
+/**
+ * Read the rendered color of one screen pixel as "#rrggbb".
+ * The stage is rendered first so the drawing buffer is still intact when it
+ * is read back.
+ */
+function _getPixelColor(clientX, clientY) {
+  const renderer = canvas.app.renderer;
+  const gl = renderer.gl;
+  if (!gl) return null;
+
+  const rect = canvas.app.view.getBoundingClientRect();
+  const x = Math.floor((clientX - rect.left) * renderer.resolution);
+  const y = Math.floor((clientY - rect.top) * renderer.resolution);
+
+  renderer.render(canvas.app.stage);
+  const pixel = new Uint8Array(4);
+  gl.readPixels(
+    x,
+    gl.drawingBufferHeight - y - 1,
+    1,
+    1,
+    gl.RGBA,
+    gl.UNSIGNED_BYTE,
+    pixel,
+  );
+
+  return `#${[pixel[0], pixel[1], pixel[2]]
+    .map((c) => c.toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+/**
+ * Update the palette's eyedropper buttons.
+ */
+function _refreshPalette() {
+  const palette = getPalette();
+  if (palette?.rendered) palette.refreshEyedropperButtons();
+}
@@ -0,0 +1,397 @@
+/**
+ * Swatch palette files - import and export of swatch sets as
+ * GIMP (.gpl), Lospec (.hex), Paint.NET (.txt) and Adobe Swatch Exchange
+ * (.ase) palettes
+ */
+
+import {
+  getSwatches,
+  getSwatchTheme,
+  getSwatchThemes,
+  setCustomSwatches,
+} from "./module.mjs";
+
+const MODULE_ID = "brush-palette";
+
+// File formats by extension: how to read and write them
+const FORMATS = {
+  gpl: { label: "GIMP (.gpl)", mime: "text/plain", binary: false },
+  hex: { label: "Lospec (.hex)", mime: "text/plain", binary: false },
+  txt: { label: "Paint.NET (.txt)", mime: "text/plain", binary: false },
+  ase: {
+    label: "Adobe Swatch Exchange (.ase)",
+    mime: "application/octet-stream",
+    binary: true,
+  },
+};
+
+// ASE block types
+const ASE_GROUP_START = 0xc001;
+const ASE_GROUP_END = 0xc002;
+const ASE_COLOR = 0x0001;
+
+/**
+ * Ask the user for a palette file and load its colors as a new swatch set.
+ */
+export async function importSwatchFile() {
+  const accept = Object.keys(FORMATS)
+    .map((ext) => `.${ext}`)
+    .join(",");
+  const choice = await foundry.applications.api.DialogV2.wait({
+    window: { title: game.i18n.localize("BRUSH_PALETTE.SwatchImportTitle") },
+    content: `
+      <p>${game.i18n.localize("BRUSH_PALETTE.SwatchImportContent")}</p>
+      <div class="form-group">
+        <label>${game.i18n.localize("BRUSH_PALETTE.ImportFile")}</label>
+        <div class="form-fields">
+          <input type="file" name="file" accept="${accept}">
+        </div>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("BRUSH_PALETTE.SwatchSetName")}</label>
+        <div class="form-fields">
+          <input type="text" name="name" placeholder="${game.i18n.localize("BRUSH_PALETTE.SwatchSetNameHint")}">
+        </div>
+      </div>`,
+    buttons: [
+      {
+        action: "import",
+        label: "BRUSH_PALETTE.Import",
+        icon: "fas fa-file-import",
+        default: true,
+        callback: (event, button) => ({
+          file: button.form.elements.file.files[0],
+          name: button.form.elements.name.value.trim(),
+        }),
+      },
+      { action: "cancel", label: "Cancel", icon: "fas fa-times" },
+    ],
+    rejectClose: false,
+  });
+  if (!choice?.file) return;
+
+  let palette;
+  try {
+    palette = await readSwatchFile(choice.file);
+  } catch (err) {
+    console.warn(`${MODULE_ID} | Could not read palette file:`, err);
+    palette = null;
+  }
+  if (!palette?.colors.length) {
+    ui.notifications.error(
+      game.i18n.localize("BRUSH_PALETTE.SwatchImportInvalid"),
+    );
+    return;
+  }
+
+  const name =
+    choice.name || palette.name || choice.file.name.replace(/\.[^.]+$/, "");
+  await setCustomSwatches(palette.colors, name);
+  ui.notifications.info(
+    game.i18n.format("BRUSH_PALETTE.SwatchImportSuccess", {
+      count: palette.colors.length,
+      name,
+    }),
+  );
+}
+
+/**
+ * Ask for a format and download the current swatches in it.
+ */
+export async function exportSwatchFile() {
+  const options = Object.entries(FORMATS)
+    .map(([ext, { label }]) => `<option value="${ext}">${label}</option>`)
+    .join("");
+  const format = await foundry.applications.api.DialogV2.wait({
+    window: { title: game.i18n.localize("BRUSH_PALETTE.SwatchExportTitle") },
+    content: `
+      <div class="form-group">
+        <label>${game.i18n.localize("BRUSH_PALETTE.SwatchExportFormat")}</label>
+        <div class="form-fields">
+          <select name="format">${options}</select>
+        </div>
+      </div>`,
+    buttons: [
+      {
+        action: "export",
+        label: "BRUSH_PALETTE.Export",
+        icon: "fas fa-file-export",
+        default: true,
+        callback: (event, button) => button.form.elements.format.value,
+      },
+      { action: "cancel", label: "Cancel", icon: "fas fa-times" },
+    ],
+    rejectClose: false,
+  });
+  if (!(format in FORMATS)) return;
+
+  const name = _getSwatchSetName();
+  const data = writeSwatchFile(format, name, getSwatches());
+  const save = foundry.utils.saveDataToFile ?? saveDataToFile;
+  save(
+    data,
+    FORMATS[format].mime,
+    `${name.slugify?.() || MODULE_ID}.${format}`,
+  );
+}
+
+/**
+ * Parse a palette file of any supported format, chosen by its extension.
+ * @param {File} file
+ * @returns {Promise<{name: string, colors: string[]}|null>}
+ */
+export async function readSwatchFile(file) {
+  const ext = file.name.split(".").pop().toLowerCase();
+  if (!(ext in FORMATS)) return null;
+  if (FORMATS[ext].binary) return _parseAse(await file.arrayBuffer());
+
+  const readText = foundry.utils.readTextFromFile ?? readTextFromFile;
+  const text = await readText(file);
+  return ext === "gpl" ? _parseGpl(text) : _parseHexList(text);
+}
+
+/**
+ * Write colors in a palette file format.
+ * @param {"gpl"|"hex"|"txt"|"ase"} format
+ * @param {string} name
+ * @param {string[]} colors  "#rrggbb" colors
+ * @returns {string|ArrayBuffer}
+ */
+export function writeSwatchFile(format, name, colors) {
+  switch (format) {
+    case "gpl":
+      return _writeGpl(name, colors);
+    case "txt":
+      return _writePaintNet(name, colors);
+    case "ase":
+      return _writeAse(colors);
+    default:
+      return colors.map((hex) => hex.slice(1)).join("\n") + "\n";
+  }
+}
+
+/**
+ * Parse a GIMP palette: a "GIMP Palette" header, optional "Name:" and
+ * "Columns:" lines, "#" comments and one "R G B [name]" line per color.
+ */
+function _parseGpl(text) {
+  const lines = text.split(/\r?\n/);
+  if (!lines[0]?.trim().startsWith("GIMP Palette")) return null;
+
+  let name = "";
+  const colors = [];
+  for (const line of lines.slice(1)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) continue;
+    const header = trimmed.match(/^Name:\s*(.*)$/i);
+    if (header) {
+      name = header[1].trim();
+      continue;
+    }
+    if (/^Columns:/i.test(trimmed)) continue;
+
+    const rgb = trimmed.match(/^(\d+)\s+(\d+)\s+(\d+)/);
+    if (rgb) colors.push(_rgbToHex(+rgb[1], +rgb[2], +rgb[3]));
+  }
+  return { name, colors };
+}
+
+/**
+ * Parse a list of hex colors, one per line: Lospec .hex ("rrggbb") and
+ * Paint.NET .txt ("aarrggbb", ";" comments). A leading "#" is allowed.
+ */
+function _parseHexList(text) {
+  const colors = [];
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith(";")) continue;
+    const match = trimmed.match(/^#?([0-9a-f]{6}|[0-9a-f]{8})$/i);
+    if (!match) continue;
+    // Eight digits are ARGB; the alpha is dropped
+    colors.push(`#${match[1].slice(-6).toLowerCase()}`);
+  }
+  return { name: "", colors };
+}
+
+/**
+ * Parse an Adobe Swatch Exchange file. RGB, CMYK, LAB and gray colors are
+ * converted to hex; the first group name, if any, becomes the set name.
+ * @param {ArrayBuffer} buffer
+ */
+function _parseAse(buffer) {
+  const view = new DataView(buffer);
+  const signature = String.fromCharCode(...new Uint8Array(buffer.slice(0, 4)));
+  if (signature !== "ASEF") return null;
+
+  const blockCount = view.getUint32(8);
+  let offset = 12;
+  let name = "";
+  const colors = [];
+
+  for (let i = 0; i < blockCount && offset + 6 <= buffer.byteLength; i++) {
+    const type = view.getUint16(offset);
+    const length = view.getUint32(offset + 2);
+    const start = offset + 6;
+    offset = start + length;
+    if (type === ASE_GROUP_END) continue;
+
+    const nameLength = view.getUint16(start);
+    let title = "";
+    for (let c = 0; c < nameLength; c++) {
+      const code = view.getUint16(start + 2 + c * 2);
+      if (code) title += String.fromCharCode(code);
+    }
+    if (type === ASE_GROUP_START) {
+      name ||= title;
+      continue;
+    }
+    if (type !== ASE_COLOR) continue;
+
+    const modelOffset = start + 2 + nameLength * 2;
+    const model = String.fromCharCode(
+      ...new Uint8Array(buffer.slice(modelOffset, modelOffset + 4)),
+    ).trim();
+    const values = [];
+    const count = { RGB: 3, CMYK: 4, LAB: 3, Gray: 1 }[model] ?? 0;
+    for (let v = 0; v < count; v++) {
+      values.push(view.getFloat32(modelOffset + 4 + v * 4));
+    }
+
+    const hex = _aseColorToHex(model, values);
+    if (hex) colors.push(hex);
+  }
+  return { name, colors };
+}
+
+/**
+ * Write a GIMP palette.
+ */
+function _writeGpl(name, colors) {
+  const lines = ["GIMP Palette", `Name: ${name}`, "Columns: 8", "#"];
+  for (const hex of colors) {
+    const [r, g, b] = _hexToRgb(hex);
+    lines.push(
+      `${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${hex}`,
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Write a Paint.NET palette (opaque ARGB colors).
+ */
+function _writePaintNet(name, colors) {
+  const lines = [";paint.net Palette File", `;Palette Name: ${name}`];
+  for (const hex of colors) lines.push(`FF${hex.slice(1).toUpperCase()}`);
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Write an Adobe Swatch Exchange file with one global RGB color per swatch,
+ * named by its hex value.
+ */
+function _writeAse(colors) {
+  // Block: name length (2) + UTF-16 name with terminator + model (4)
+  // + 3 floats (12) + color type (2)
+  const nameLength = 8; // "#rrggbb" + terminator
+  const blockLength = 2 + nameLength * 2 + 4 + 12 + 2;
+  const buffer = new ArrayBuffer(12 + colors.length * (6 + blockLength));
+  const view = new DataView(buffer);
+
+  [..."ASEF"].forEach((c, i) => view.setUint8(i, c.charCodeAt(0)));
+  view.setUint16(4, 1); // version 1.0
+  view.setUint16(6, 0);
+  view.setUint32(8, colors.length);
+
+  let offset = 12;
+  for (const hex of colors) {
+    view.setUint16(offset, ASE_COLOR);
+    view.setUint32(offset + 2, blockLength);
+    view.setUint16(offset + 6, nameLength);
+    [...hex].forEach((c, i) =>
+      view.setUint16(offset + 8 + i * 2, c.charCodeAt(0)),
+    );
+    // Terminator is already zero
+    const modelOffset = offset + 8 + nameLength * 2;
+    [..."RGB "].forEach((c, i) =>
+      view.setUint8(modelOffset + i, c.charCodeAt(0)),
+    );
+    _hexToRgb(hex).forEach((v, i) =>
+      view.setFloat32(modelOffset + 4 + i * 4, v / 255),
+    );
+    view.setUint16(modelOffset + 16, 0); // global color
+    offset += 6 + blockLength;
+  }
+  return buffer;
+}
+
+/**
+ * Convert an ASE color to "#rrggbb", or null for an unknown model.
+ */
+function _aseColorToHex(model, values) {
+  switch (model) {
+    case "RGB":
+      return _rgbToHex(...values.map((v) => v * 255));
+    case "Gray":
+      return _rgbToHex(...Array(3).fill(values[0] * 255));
+    case "CMYK": {
+      const [c, m, y, k] = values;
+      return _rgbToHex(
+        255 * (1 - c) * (1 - k),
+        255 * (1 - m) * (1 - k),
+        255 * (1 - y) * (1 - k),
+      );
+    }
+    case "LAB":
+      return _labToHex(values[0] * 100, values[1], values[2]);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert CIE L*a*b* (D65 white point) to sRGB hex.
+ */
+function _labToHex(l, a, b) {
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const f = (t) => (t ** 3 > 0.008856 ? t ** 3 : (t - 16 / 116) / 7.787);
+  const x = 0.95047 * f(fx);
+  const y = 1.0 * f(fy);
+  const z = 1.08883 * f(fz);
+
+  const linear = [
+    3.2406 * x - 1.5372 * y - 0.4986 * z,
+    -0.9689 * x + 1.8758 * y + 0.0415 * z,
+    0.0557 * x - 0.204 * y + 1.057 * z,
+  ];
+  const gamma = (c) =>
+    c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055;
+  return _rgbToHex(...linear.map((c) => gamma(c) * 255));
+}
+
+/**
+ * Build "#rrggbb" from 0-255 channels (rounded and clamped).
+ */
+function _rgbToHex(r, g, b) {
+  return `#${[r, g, b]
+    .map((c) => Math.clamp(Math.round(c), 0, 255).toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+/**
+ * Split "#rrggbb" into 0-255 channels.
+ */
+function _hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Name of the active swatch set or theme.
+ */
+function _getSwatchSetName() {
+  const theme = getSwatchTheme();
+  return getSwatchThemes().find((t) => t.id === theme)?.name ?? theme;
+}
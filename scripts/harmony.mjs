@@ -0,0 +1,172 @@
+/**
+ * Color harmony generator - builds coordinated swatch sets (complementary,
+ * analogous, triadic, tetradic, shades, tints) from a base color
+ */
+
+import { brush, getSwatches, createSwatchSet } from "./module.mjs";
+import { hexToRgb, rgbToHex, rgbToHsl, hslToRgb } from "./color.mjs";
+
+// Number of colors in shade and tint ramps
+const RAMP_STEPS = 8;
+
+// Lightness offsets for the lighter/darker variants of each harmony hue
+const VARIANT_OFFSETS = [0, 0.2, -0.2];
+
+// Harmony schemes: hue rotations (degrees) from the base color, or a ramp
+const SCHEMES = {
+  complementary: { hues: [0, 180] },
+  analogous: { hues: [-60, -30, 0, 30, 60], variants: false },
+  triadic: { hues: [0, 120, 240] },
+  tetradic: { hues: [0, 90, 180, 270] },
+  shades: { ramp: "#000000" },
+  tints: { ramp: "#ffffff" },
+};
+
+/**
+ * Generate a harmony from a base color.
+ * @param {string} base  "#rrggbb"
+ * @param {"complementary"|"analogous"|"triadic"|"tetradic"|"shades"|"tints"} scheme
+ * @returns {string[]} "#rrggbb" colors, starting with (or around) the base
+ */
+export function generateHarmony(base, scheme) {
+  const config = SCHEMES[scheme];
+  if (!config) return [];
+
+  if (config.ramp) {
+    return Array.from({ length: RAMP_STEPS }, (_, i) =>
+      _mix(base, config.ramp, i / RAMP_STEPS),
+    );
+  }
+
+  const [h, s, l] = rgbToHsl(hexToRgb(base));
+  const offsets = config.variants === false ? [0] : VARIANT_OFFSETS;
+  const colors = [];
+  for (const offset of offsets) {
+    for (const rotation of config.hues) {
+      colors.push(
+        rgbToHex(hslToRgb([h + rotation, s, Math.clamp(l + offset, 0, 1)])),
+      );
+    }
+  }
+  // Variants of very light or dark colors can collapse into duplicates
+  return [...new Set(colors)];
+}
+
+/**
+ * Open the generator: pick a base color (the stroke color by default, or a
+ * swatch) and a scheme, preview the result and save it as a swatch set.
+ */
+export async function openHarmonyDialog() {
+  const swatchButtons = getSwatches()
+    .map(
+      (hex) =>
+        `<button type="button" class="swatch" data-color="${hex}" style="background-color: ${hex}" title="${hex}"></button>`,
+    )
+    .join("");
+  const schemeOptions = Object.keys(SCHEMES)
+    .map(
+      (scheme) =>
+        `<option value="${scheme}">${game.i18n.localize(`BRUSH_PALETTE.Harmony${scheme.charAt(0).toUpperCase()}${scheme.slice(1)}`)}</option>`,
+    )
+    .join("");
+
+  const result = await foundry.applications.api.DialogV2.wait({
+    window: { title: game.i18n.localize("BRUSH_PALETTE.HarmonyTitle") },
+    classes: ["brush-palette-harmony"],
+    content: `
+      <div class="form-group">
+        <label>${game.i18n.localize("BRUSH_PALETTE.HarmonyBase")}</label>
+        <div class="form-fields">
+          <input type="color" name="base" value="${brush.strokeColor}">
+        </div>
+      </div>
+      <div class="harmony-swatches" title="${game.i18n.localize("BRUSH_PALETTE.HarmonyBaseSwatch")}">${swatchButtons}</div>
+      <div class="form-group">
+        <label>${game.i18n.localize("BRUSH_PALETTE.HarmonyScheme")}</label>
+        <div class="form-fields">
+          <select name="scheme">${schemeOptions}</select>
+        </div>
+      </div>
+      <div class="harmony-preview" aria-label="${game.i18n.localize("BRUSH_PALETTE.HarmonyPreview")}"></div>
+      <div class="form-group">
+        <label>${game.i18n.localize("BRUSH_PALETTE.SwatchSetName")}</label>
+        <div class="form-fields">
+          <input type="text" name="name">
+        </div>
+      </div>`,
+    render: (event, dialog) => _activateDialog(dialog.element ?? dialog),
+    buttons: [
+      {
+        action: "save",
+        label: "BRUSH_PALETTE.HarmonySave",
+        icon: "fas fa-save",
+        default: true,
+        callback: (event, button) => {
+          const { base, scheme, name } = button.form.elements;
+          return {
+            colors: generateHarmony(base.value, scheme.value),
+            name: name.value.trim() || _defaultName(base.value, scheme.value),
+          };
+        },
+      },
+      { action: "cancel", label: "Cancel", icon: "fas fa-times" },
+    ],
+    rejectClose: false,
+  });
+
+  if (!result?.colors?.length) return;
+  await createSwatchSet(result.name, result.colors);
+}
+
+/**
+ * Wire up the dialog: swatches set the base color and every change redraws
+ * the preview.
+ * @param {HTMLElement} html
+ */
+function _activateDialog(html) {
+  const form = html.querySelector("form") ?? html;
+  const { base, scheme, name } = form.elements;
+  const preview = html.querySelector(".harmony-preview");
+
+  const update = () => {
+    preview.replaceChildren(
+      ...generateHarmony(base.value, scheme.value).map((hex) => {
+        const swatch = document.createElement("span");
+        swatch.className = "swatch";
+        swatch.style.backgroundColor = hex;
+        swatch.title = hex;
+        return swatch;
+      }),
+    );
+    name.placeholder = _defaultName(base.value, scheme.value);
+  };
+
+  html.querySelector(".harmony-swatches").addEventListener("click", (event) => {
+    const swatch = event.target.closest(".swatch");
+    if (!swatch) return;
+    base.value = swatch.dataset.color;
+    update();
+  });
+  base.addEventListener("input", update);
+  scheme.addEventListener("change", update);
+  update();
+}
+
+/**
+ * Name for a generated set, e.g. "Triadic #3a7bd5".
+ */
+function _defaultName(base, scheme) {
+  const label = game.i18n.localize(
+    `BRUSH_PALETTE.Harmony${scheme.charAt(0).toUpperCase()}${scheme.slice(1)}`,
+  );
+  return `${label} ${base}`;
+}
+
+/**
+ * Blend two hex colors; t = 0 gives `a`, t = 1 gives `b`.
+ */
+function _mix(a, b, t) {
+  const ca = hexToRgb(a);
+  const cb = hexToRgb(b);
+  return rgbToHex(ca.map((c, i) => c + (cb[i] - c) * t));
+}
@@ -0,0 +1,187 @@
+/**
+ * Undo/redo history for palette edits to existing drawings
+ *
+ * Each entry covers one edit session: every update the palette sends in
+ * quick succession (e.g. a whole slider drag) is grouped into one entry that
+ * stores, per drawing, the style before the session and the fields it set.
+ */
+
+import { getPalette, resyncSelectedDrawings } from "./module.mjs";
+
+const MODULE_ID = "brush-palette";
+
+// Maximum number of undo entries kept
+const MAX_ENTRIES = 50;
+
+// An edit session ends after this long without further updates (ms)
+const GROUP_IDLE_MS = 750;
+
+// Drawing fields the palette edits, as stored in the document source
+const STYLE_FIELDS = [
+  "strokeColor",
+  "strokeWidth",
+  "strokeAlpha",
+  "fillType",
+  "fillColor",
+  "fillAlpha",
+  "texture",
+  "bezierFactor",
+  "text",
+  "fontFamily",
+  "fontSize",
+  "textColor",
+  "textAlpha",
+  "flags.advanced-drawing-tools.lineStyle.dash",
+];
+
+let _undoStack = [];
+let _redoStack = [];
+
+// The edit session currently being recorded, or null
+let _openEntry = null;
+let _closeTimer = null;
+
+/**
+ * Record a batch of palette updates about to be sent for a scene's drawings.
+ * Must be called before the update so the "before" styles can be captured.
+ * @param {Scene} scene
+ * @param {object[]} updates  Update objects with an _id each
+ */
+export function recordDrawingEdit(scene, updates) {
+  if (_openEntry && _openEntry.sceneId !== scene.id) closeHistoryGroup();
+  _openEntry ??= { sceneId: scene.id, drawings: new Map() };
+
+  for (const { _id, ...change } of updates) {
+    let record = _openEntry.drawings.get(_id);
+    if (!record) {
+      const doc = scene.drawings.get(_id);
+      if (!doc) continue;
+      record = { before: _snapshot(doc), after: {} };
+      _openEntry.drawings.set(_id, record);
+    }
+    Object.assign(record.after, change);
+  }
+
+  clearTimeout(_closeTimer);
+  _closeTimer = setTimeout(closeHistoryGroup, GROUP_IDLE_MS);
+  _refreshPalette();
+}
+
+/**
+ * End the current edit session and push it onto the undo stack.
+ */
+export function closeHistoryGroup() {
+  clearTimeout(_closeTimer);
+  _closeTimer = null;
+  if (!_openEntry) return;
+
+  if (_openEntry.drawings.size) {
+    _undoStack.push(_openEntry);
+    if (_undoStack.length > MAX_ENTRIES) _undoStack.shift();
+    _redoStack = [];
+  }
+  _openEntry = null;
+  _refreshPalette();
+}
+
+/**
+ * Forget all history, e.g. when the scene changes.
+ */
+export function clearHistory() {
+  clearTimeout(_closeTimer);
+  _closeTimer = null;
+  _openEntry = null;
+  _undoStack = [];
+  _redoStack = [];
+  _refreshPalette();
+}
+
+/**
+ * Whether there is an edit session that can be undone.
+ */
+export function canUndo() {
+  return _undoStack.length > 0 || !!_openEntry?.drawings.size;
+}
+
+/**
+ * Whether there is an undone edit session that can be redone.
+ */
+export function canRedo() {
+  return _redoStack.length > 0;
+}
+
+/**
+ * Restore the drawings' styles from before the last edit session.
+ * @returns {Promise<boolean>} Whether there was anything to undo
+ */
+export async function undoPaletteEdit() {
+  closeHistoryGroup();
+  const entry = _undoStack.pop();
+  if (!entry) return false;
+  _redoStack.push(entry);
+  await _restore(entry, "before");
+  return true;
+}
+
+/**
+ * Re-apply the last undone edit session.
+ * @returns {Promise<boolean>} Whether there was anything to redo
+ */
+export async function redoPaletteEdit() {
+  closeHistoryGroup();
+  const entry = _redoStack.pop();
+  if (!entry) return false;
+  _undoStack.push(entry);
+  await _restore(entry, "after");
+  return true;
+}
+
+/**
+ * Apply one side of a history entry to the drawings that still exist.
+ * Only the fields the session changed are restored.
+ */
+async function _restore(entry, side) {
+  const scene = game.scenes.get(entry.sceneId);
+  const updates = [];
+  for (const [id, record] of entry.drawings) {
+    if (!scene?.drawings.get(id)) continue;
+    const fields = Object.keys(record.after);
+    const values =
+      side === "after"
+        ? record.after
+        : Object.fromEntries(fields.map((f) => [f, record.before[f] ?? null]));
+    updates.push({ _id: id, ...foundry.utils.deepClone(values) });
+  }
+
+  if (updates.length) {
+    try {
+      await scene.updateEmbeddedDocuments("Drawing", updates);
+    } catch (err) {
+      console.warn(`${MODULE_ID} | Failed to restore drawings:`, err);
+    }
+  }
+
+  resyncSelectedDrawings();
+  _refreshPalette();
+}
+
+/**
+ * Capture a drawing's palette-managed style from its source data.
+ */
+function _snapshot(doc) {
+  const snapshot = {};
+  for (const field of STYLE_FIELDS) {
+    snapshot[field] = foundry.utils.deepClone(
+      foundry.utils.getProperty(doc._source, field) ?? null,
+    );
+  }
+  return snapshot;
+}
+
+/**
+ * Update the palette's undo/redo buttons.
+ */
+function _refreshPalette() {
+  const palette = getPalette();
+  if (palette?.rendered) palette.refreshHistoryButtons();
+}
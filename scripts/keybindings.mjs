@@ -0,0 +1,202 @@
+/**
+ * Configurable keyboard shortcuts for brush control
+ */
+
+import {
+  brush,
+  updateBrush,
+  applyPreset,
+  getPresets,
+  getSwatches,
+  togglePalette,
+} from "./module.mjs";
+import { undoPaletteEdit, redoPaletteEdit } from "./history.mjs";
+import {
+  openRadialMenu,
+  closeRadialMenu,
+  releaseRadialMenu,
+  isRadialMenuOpen,
+} from "./radial.mjs";
+
+const MODULE_ID = "brush-palette";
+
+// Step sizes and limits match the palette's range inputs
+const STROKE_WIDTH = { step: 1, min: 0, max: 50 };
+const FONT_SIZE = { step: 2, min: 8, max: 128 };
+const OPACITY = { step: 0.05, min: 0, max: 1 };
+
+/**
+ * Register all brush keybindings. Must be called during "init".
+ */
+export function registerKeybindings() {
+  _register("increaseStrokeWidth", "KeyBindIncreaseWidth", "BracketRight", () =>
+    _step("strokeWidth", STROKE_WIDTH, 1),
+  );
+  _register("decreaseStrokeWidth", "KeyBindDecreaseWidth", "BracketLeft", () =>
+    _step("strokeWidth", STROKE_WIDTH, -1),
+  );
+  _register(
+    "increaseFontSize",
+    "KeyBindIncreaseFontSize",
+    { key: "BracketRight", modifiers: ["Shift"] },
+    () => _step("fontSize", FONT_SIZE, 1),
+  );
+  _register(
+    "decreaseFontSize",
+    "KeyBindDecreaseFontSize",
+    { key: "BracketLeft", modifiers: ["Shift"] },
+    () => _step("fontSize", FONT_SIZE, -1),
+  );
+  _register(
+    "increaseOpacity",
+    "KeyBindIncreaseLineOpacity",
+    { key: "BracketRight", modifiers: ["Alt"] },
+    () => _step("strokeAlpha", OPACITY, 1),
+  );
+  _register(
+    "decreaseOpacity",
+    "KeyBindDecreaseLineOpacity",
+    { key: "BracketLeft", modifiers: ["Alt"] },
+    () => _step("strokeAlpha", OPACITY, -1),
+  );
+  _register(
+    "increaseFillOpacity",
+    "KeyBindIncreaseFillOpacity",
+    { key: "BracketRight", modifiers: ["Alt", "Shift"] },
+    () => _step("fillAlpha", OPACITY, 1),
+  );
+  _register(
+    "decreaseFillOpacity",
+    "KeyBindDecreaseFillOpacity",
+    { key: "BracketLeft", modifiers: ["Alt", "Shift"] },
+    () => _step("fillAlpha", OPACITY, -1),
+  );
+  // Text opacity has no default key; the user can assign one
+  _register("increaseTextOpacity", "KeyBindIncreaseTextOpacity", null, () =>
+    _step("textAlpha", OPACITY, 1),
+  );
+  _register("decreaseTextOpacity", "KeyBindDecreaseTextOpacity", null, () =>
+    _step("textAlpha", OPACITY, -1),
+  );
+  _register("nextSwatch", "KeyBindNextSwatch", "Period", () => _cycleSwatch(1));
+  _register("previousSwatch", "KeyBindPreviousSwatch", "Comma", () =>
+    _cycleSwatch(-1),
+  );
+  _register("swapColors", "KeyBindSwapColors", "KeyX", () =>
+    updateBrush({ strokeColor: brush.fillColor, fillColor: brush.strokeColor }),
+  );
+  _register(
+    "toggleFill",
+    "KeyBindToggleFill",
+    { key: "KeyF", modifiers: ["Shift"] },
+    () => updateBrush({ fillType: brush.fillType > 0 ? 0 : 1 }),
+  );
+  for (let n = 1; n <= 9; n++) {
+    _register(
+      `loadPreset${n}`,
+      `KeyBindLoadPreset${n}`,
+      { key: `Digit${n}`, modifiers: ["Alt"] },
+      () => _loadPresetNumber(n),
+    );
+  }
+  _register(
+    "undoEdit",
+    "KeyBindUndo",
+    { key: "KeyZ", modifiers: ["Alt"] },
+    () => undoPaletteEdit(),
+  );
+  _register(
+    "redoEdit",
+    "KeyBindRedo",
+    { key: "KeyZ", modifiers: ["Alt", "Shift"] },
+    () => redoPaletteEdit(),
+  );
+  _register(
+    "togglePalette",
+    "KeyBindTogglePalette",
+    { key: "KeyB", modifiers: ["Shift"] },
+    () => togglePalette(),
+  );
+
+  // Hold to open the quick-pick menu at the cursor, release over a wedge to
+  // pick it. A quick tap leaves the menu open; pressing again closes it.
+  game.keybindings.register(MODULE_ID, "radialMenu", {
+    name: "BRUSH_PALETTE.KeyBindRadialMenu",
+    hint: "BRUSH_PALETTE.KeyBindRadialMenuHint",
+    editable: [{ key: "KeyQ" }],
+    restricted: false,
+    precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL,
+    onDown: (context) => {
+      if (ui.controls?.control?.name !== "drawings") return false;
+      if (context.repeat) return true;
+      if (isRadialMenuOpen()) closeRadialMenu();
+      else openRadialMenu();
+      return true;
+    },
+    onUp: (context) => {
+      releaseRadialMenu({ shiftKey: !!context.isShift });
+    },
+  });
+}
+
+/**
+ * Register one keybinding that only acts while the drawings layer is active.
+ * Elsewhere the key press is passed on to other bindings.
+ * @param {string} action       Keybinding id
+ * @param {string} label        BRUSH_PALETTE localization key suffix
+ * @param {string|object|null} key  Default key code, { key, modifiers },
+ *                                  or null for no default
+ * @param {Function} handler
+ */
+function _register(action, label, key, handler) {
+  const binding = typeof key === "string" ? { key } : key;
+  game.keybindings.register(MODULE_ID, action, {
+    name: `BRUSH_PALETTE.${label}`,
+    editable: binding ? [binding] : [],
+    restricted: false,
+    precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL,
+    onDown: () => {
+      if (ui.controls?.control?.name !== "drawings") return false;
+      handler();
+      return true;
+    },
+  });
+}
+
+/**
+ * Step a numeric brush field up or down, clamped to the range input limits.
+ */
+function _step(field, { step, min, max }, direction) {
+  const current = Number(brush[field]) || 0;
+  // Snap to the step grid so repeated presses land on slider positions
+  const next = Math.round((current + step * direction) / step) * step;
+  const value = Math.clamp(Number(next.toFixed(2)), min, max);
+  if (value !== brush[field]) updateBrush({ [field]: value });
+}
+
+/**
+ * Move the stroke color to the next or previous swatch.
+ */
+function _cycleSwatch(direction) {
+  const swatches = getSwatches();
+  if (!swatches.length) return;
+  const current = swatches.findIndex(
+    (hex) => hex.toLowerCase() === brush.strokeColor?.toLowerCase(),
+  );
+  const index =
+    current === -1
+      ? direction > 0
+        ? 0
+        : swatches.length - 1
+      : (current + direction + swatches.length) % swatches.length;
+  updateBrush({ strokeColor: swatches[index] });
+}
+
+/**
+ * Load the nth preset as listed in the palette (shared presets first).
+ */
+function _loadPresetNumber(n) {
+  const presets = [...getPresets("shared"), ...getPresets("personal")];
+  const preset = presets[n - 1];
+  if (preset) applyPreset(preset);
+}
@@ -0,0 +1,324 @@
+/**
+ * Settings schema versioning and migration
+ *
+ * Stored data carries a schema version per settings scope: "schemaVersion"
+ * for the user's own (client) data and "worldSchemaVersion" for the shared
+ * presets. Data saved before versioning (1.0.x / 1.1.x) counts as version 0.
+ * On "ready" every stored brush, preset and swatch list is upgraded to the
+ * current shape and validated; any values that had to be repaired are
+ * reported in the console and with a notification.
+ */
+
+import {
+  validateBrushData,
+  normalizeDashPattern,
+  getDashForStyle,
+  getDefaultBrush,
+  getDefaultSwatches,
+  getSwatchThemes,
+} from "./module.mjs";
+
+const MODULE_ID = "brush-palette";
+
+// Current schema version of all stored data
+// 1: versioned, fully validated brush data
+// 2: named swatch sets replace the single custom swatch list
+// 3: presets have a stable id and a category
+// 4: brushes have freehand taper settings
+export const SCHEMA_VERSION = 4;
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Brush fields added with schema version 4
+const TAPER_FIELDS = ["taper", "taperMinWidth", "taperMaxWidth", "taperLength"];
+
+/**
+ * Upgrade and validate all stored data the current user may change.
+ * @returns {Promise<object[]>} The repairs that were made
+ */
+export async function runMigrations() {
+  const repairs = [];
+
+  const clientVersion = game.settings.get(MODULE_ID, "schemaVersion") ?? 0;
+  await _migrateSettings(
+    {
+      lastBrush: _migrateBrush,
+      presets: _migratePresets,
+      swatches: _migrateSwatches,
+      // After "swatches", which it is built from, and before "sceneBrushes",
+      // whose themes may refer to it
+      swatchSets: _migrateSwatchSets,
+      sceneBrushes: _migrateSceneBrushes,
+      recentColors: _migrateRecentColors,
+      dashStyles: _migrateDashStyles,
+    },
+    clientVersion,
+    repairs,
+  );
+  if (clientVersion !== SCHEMA_VERSION) {
+    await game.settings.set(MODULE_ID, "schemaVersion", SCHEMA_VERSION);
+  }
+
+  // World data can only be written by a GM
+  if (game.user?.isGM) {
+    const worldVersion =
+      game.settings.get(MODULE_ID, "worldSchemaVersion") ?? 0;
+    await _migrateSettings(
+      { sharedPresets: _migratePresets },
+      worldVersion,
+      repairs,
+    );
+    if (worldVersion !== SCHEMA_VERSION) {
+      await game.settings.set(MODULE_ID, "worldSchemaVersion", SCHEMA_VERSION);
+    }
+  }
+
+  _report(repairs);
+  return repairs;
+}
+
+/**
+ * Run each setting's migration and save the ones that changed.
+ * @param {Record<string, Function>} migrations  Setting key → migrate(value, version, report)
+ * @param {number} version  Schema version the stored data was saved with
+ * @param {object[]} repairs
+ */
+async function _migrateSettings(migrations, version, repairs) {
+  for (const [key, migrate] of Object.entries(migrations)) {
+    const value = game.settings.get(MODULE_ID, key);
+    const found = [];
+    const report = (item, entries) => {
+      for (const entry of entries) found.push({ setting: key, item, ...entry });
+    };
+
+    let migrated;
+    try {
+      migrated = migrate(foundry.utils.deepClone(value), version, report);
+    } catch (err) {
+      console.error(`${MODULE_ID} | Failed to migrate "${key}":`, err);
+      continue;
+    }
+
+    if (found.length || version !== SCHEMA_VERSION) {
+      await game.settings.set(MODULE_ID, key, migrated);
+    }
+    repairs.push(...found);
+  }
+}
+
+/**
+ * Upgrade the last-used brush.
+ */
+function _migrateBrush(brush, version, report) {
+  const fixes = [];
+  const result = validateBrushData(_upgradeBrushShape(brush, version), {
+    repairs: fixes,
+  });
+  report("brush", fixes);
+  return result;
+}
+
+/**
+ * Upgrade a preset list, keeping each preset's name and flags. Presets
+ * without a unique id get one; a missing category means none.
+ */
+function _migratePresets(presets, version, report) {
+  if (!Array.isArray(presets)) {
+    report("presets", [{ field: "", from: presets, to: [] }]);
+    return [];
+  }
+
+  const ids = new Set();
+  return presets
+    .filter((preset) => preset && typeof preset === "object")
+    .map((preset, index) => {
+      const name =
+        typeof preset.name === "string" && preset.name.trim()
+          ? preset.name.trim()
+          : `Preset ${index + 1}`;
+      const fixes = [];
+      if (name !== preset.name) {
+        fixes.push({ field: "name", from: preset.name, to: name });
+      }
+      const brush = validateBrushData(_upgradeBrushShape(preset, version), {
+        repairs: fixes,
+      });
+      report(name, fixes);
+      const id =
+        typeof preset.id === "string" && preset.id && !ids.has(preset.id)
+          ? preset.id
+          : foundry.utils.randomID();
+      ids.add(id);
+      const category =
+        typeof preset.category === "string" ? preset.category.trim() : "";
+      return { ...preset, id, name, category, ...brush };
+    });
+}
+
+/**
+ * Upgrade the per-scene brush profiles.
+ */
+function _migrateSceneBrushes(profiles, version, report) {
+  const themes = new Set(getSwatchThemes().map((theme) => theme.id));
+  const result = {};
+  for (const [sceneId, profile] of Object.entries(profiles ?? {})) {
+    if (!profile?.brush) continue;
+    const fixes = [];
+    const upgraded = _upgradeBrushShape(profile.brush, version);
+    const brush = validateBrushData(upgraded, { repairs: fixes });
+    let swatchTheme = profile.swatchTheme ?? null;
+    if (swatchTheme && !themes.has(swatchTheme)) {
+      fixes.push({ field: "swatchTheme", from: swatchTheme, to: null });
+      swatchTheme = null;
+    }
+    report(`scene ${sceneId}`, fixes);
+    result[sceneId] = { ...profile, brush, swatchTheme };
+  }
+  return result;
+}
+
+/**
+ * Drop invalid colors from the custom swatches.
+ */
+function _migrateSwatches(swatches, version, report) {
+  const list = Array.isArray(swatches) ? swatches : [];
+  const valid = list
+    .filter((c) => typeof c === "string" && HEX_COLOR.test(c))
+    .map((c) => c.toLowerCase());
+  if (valid.length !== list.length) {
+    report("swatches", [
+      { field: "colors", from: list.length, to: valid.length },
+    ]);
+  }
+  return valid.length ? valid : getDefaultSwatches();
+}
+
+/**
+ * Turn the single custom swatch list into the first swatch set, and drop
+ * invalid sets and colors. The set keeps the "custom" id, so a swatch theme
+ * of "custom" still selects it.
+ */
+function _migrateSwatchSets(sets, version, report) {
+  const list = Array.isArray(sets) ? sets : [];
+  if (version < 2 && !list.some((set) => set?.id === "custom")) {
+    list.unshift({
+      id: "custom",
+      name:
+        game.settings.get(MODULE_ID, "customSwatchName") ||
+        game.i18n.localize("BRUSH_PALETTE.ThemeCustom"),
+      colors: game.settings.get(MODULE_ID, "swatches"),
+    });
+  }
+
+  const result = [];
+  for (const set of list) {
+    if (!set?.id || typeof set.name !== "string") {
+      report("swatch sets", [{ field: "set", from: set, to: null }]);
+      continue;
+    }
+    // Sets may be empty, unlike the legacy list
+    const colors = (Array.isArray(set.colors) ? set.colors : [])
+      .filter((c) => typeof c === "string" && HEX_COLOR.test(c))
+      .map((c) => c.toLowerCase());
+    if (colors.length !== (set.colors?.length ?? 0)) {
+      report(set.name, [
+        { field: "colors", from: set.colors?.length ?? 0, to: colors.length },
+      ]);
+    }
+    result.push({ id: String(set.id), name: set.name, colors });
+  }
+  return result;
+}
+
+/**
+ * Drop invalid colors from the recent-color lists.
+ */
+function _migrateRecentColors(recent, version, report) {
+  const result = {};
+  for (const kind of ["stroke", "fill", "text"]) {
+    const list = Array.isArray(recent?.[kind]) ? recent[kind] : [];
+    result[kind] = list
+      .filter((c) => typeof c === "string" && HEX_COLOR.test(c))
+      .map((c) => c.toLowerCase());
+    if (result[kind].length !== list.length) {
+      report(`recent ${kind}`, [
+        { field: "colors", from: list.length, to: result[kind].length },
+      ]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Drop saved dash styles without a name or a usable pattern.
+ */
+function _migrateDashStyles(styles, version, report) {
+  const list = Array.isArray(styles) ? styles : [];
+  const valid = list
+    .filter((style) => style?.name && normalizeDashPattern(style.dash))
+    .map((style) => ({
+      name: String(style.name),
+      dash: normalizeDashPattern(style.dash),
+    }));
+  if (valid.length !== list.length) {
+    report("dash styles", [
+      { field: "styles", from: list.length, to: valid.length },
+    ]);
+  }
+  return valid;
+}
+
+/**
+ * Bring brush-shaped data saved with an older schema up to the current
+ * field layout before it is validated.
+ */
+function _upgradeBrushShape(data, version) {
+  const brush = data && typeof data === "object" ? { ...data } : {};
+  if (version < 1) {
+    // Unversioned data predates the text fields (1.0.x), pattern textures
+    // and custom dash patterns. Fields that did not exist yet get their
+    // defaults here, so only genuinely invalid values count as repairs.
+    const defaults = getDefaultBrush();
+    for (const [field, value] of Object.entries(defaults)) {
+      if (field !== "strokeDash" && !(field in brush)) brush[field] = value;
+    }
+    if (!("strokeDash" in brush)) {
+      brush.strokeDash = getDashForStyle(brush.strokeStyle);
+    }
+  }
+  if (version < 4) {
+    // Taper mode (4) starts out off, with the default widths
+    const defaults = getDefaultBrush();
+    for (const field of TAPER_FIELDS) {
+      if (!(field in brush)) brush[field] = defaults[field];
+    }
+  }
+  return brush;
+}
+
+/**
+ * Log the repairs and tell the user about them.
+ */
+function _report(repairs) {
+  if (!repairs.length) return;
+
+  console.groupCollapsed(
+    `${MODULE_ID} | Repaired ${repairs.length} stored value(s)`,
+  );
+  console.table(
+    repairs.map(({ setting, item, field, from, to }) => ({
+      setting,
+      item,
+      field,
+      from: JSON.stringify(from),
+      to: JSON.stringify(to),
+    })),
+  );
+  console.groupEnd();
+
+  ui.notifications.warn(
+    game.i18n.format("BRUSH_PALETTE.MigrationRepaired", {
+      count: repairs.length,
+    }),
+  );
+}
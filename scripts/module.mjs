@@ -4,6 +4,19 @@
  */
 
 import { BrushPalette } from "./BrushPalette.mjs";
+import { exportPaletteData, importPaletteData } from "./transfer.mjs";
+import { registerKeybindings } from "./keybindings.mjs";
+import { createApi } from "./api.mjs";
+import { runMigrations } from "./migration.mjs";
+import { importSwatchFile, exportSwatchFile } from "./formats.mjs";
+import { parseColor, COLOR_VISION_TYPES } from "./color.mjs";
+import { registerRadialMenu } from "./radial.mjs";
+import { registerTaperedStrokes, applyStrokeTaper } from "./taper.mjs";
+import {
+  recordDrawingEdit,
+  closeHistoryGroup,
+  clearHistory,
+} from "./history.mjs";
 
 const MODULE_ID = "brush-palette";
 
@@ -12,19 +25,26 @@ const DEFAULT_BRUSH = {
   strokeColor: "#000000",
   strokeWidth: 8,
   strokeAlpha: 1,
-  strokeStyle: "solid", // solid, dotted, dashed
+  strokeStyle: "solid", // solid, dotted, dashed, a saved style name, or custom
+  strokeDash: null, // dash/gap lengths for advanced-drawing-tools; null = solid
   fillType: 0, // CONST.DRAWING_FILL_TYPES.NONE
   fillColor: "#ffffff",
   fillAlpha: 0.5,
+  texture: "", // image path used when fillType is 2 (pattern)
   bezierFactor: 0,
   text: "",
   fontFamily: "",
   fontSize: 48,
   textColor: "#ffffff",
   textAlpha: 1,
+  taper: false, // freehand lines become outlines that thin out with speed
+  taperMinWidth: 2,
+  taperMaxWidth: 12,
+  taperLength: 40, // length of the narrowing at each end, in pixels
 };
 
-// Stroke style dash patterns (for advanced-drawing-tools compatibility)
+// Built-in stroke style dash patterns (for advanced-drawing-tools compatibility).
+// User-defined styles are stored in the "dashStyles" setting.
 const STROKE_DASH_PATTERNS = {
   solid: null,
   dotted: [4, 8],
@@ -131,6 +151,40 @@ const SWATCH_THEMES = {
     "#206870",
     "#ffffff",
   ],
+  // Colorblind-safe: distinguishable with protanopia, deuteranopia and
+  // tritanopia
+  okabeIto: [
+    "#000000",
+    "#e69f00",
+    "#56b4e9",
+    "#009e73",
+    "#f0e442",
+    "#0072b2",
+    "#d55e00",
+    "#cc79a7",
+    "#999999",
+    "#ffffff",
+  ],
+  tolBright: [
+    "#4477aa",
+    "#66ccee",
+    "#228833",
+    "#ccbb44",
+    "#ee6677",
+    "#aa3377",
+    "#bbbbbb",
+    "#000000",
+    "#ffffff",
+  ],
+  ibm: [
+    "#648fff",
+    "#785ef0",
+    "#dc267f",
+    "#fe6100",
+    "#ffb000",
+    "#000000",
+    "#ffffff",
+  ],
 };
 
 // Default swatches (used for "custom" theme)
@@ -212,18 +266,25 @@ export let brush = { ...DEFAULT_BRUSH };
 // Palette instance
 let palette = null;
 
-// The drawing currently being edited via the palette (null = none)
-let _selectedDrawing = null;
+// The drawings currently being edited via the palette (empty = none)
+let _selectedDrawings = [];
 
-// Snapshot of palette-managed fields when selection mode begins.
+// Snapshot of palette-managed fields when selection mode begins. For a
+// multi-selection, mixed fields hold the first drawing's value.
 let _selectedDrawingBaseline = null;
 
+// Palette-managed fields whose values differ across the selected drawings.
+let _selectedDrawingMixedFields = new Set();
+
 // Palette-managed fields changed by the user while editing a drawing.
 let _selectedDrawingTouchedFields = new Set();
 
 // Brush state saved just before a drawing was selected
 let _preSelectionBrush = null;
 
+// Id of the scene whose brush profile is active, or null for the global brush
+let _sceneProfileId = null;
+
 // The core client setting key that stores default drawing data.
 // V13: "defaultDrawingConfig"  |  V14+: "drawingPalette"
 const _coreDrawingSettingKey = () =>
@@ -233,6 +294,8 @@ const _coreDrawingSettingKey = () =>
  * Initialize the module
  */
 Hooks.once("init", () => {
+  game.modules.get(MODULE_ID).api = createApi();
+
   // Register settings for brush persistence
   game.settings.register(MODULE_ID, "lastBrush", {
     name: "Last Brush Settings",
@@ -242,6 +305,33 @@ Hooks.once("init", () => {
     default: DEFAULT_BRUSH,
   });
 
+  // Brush profiles bound to scenes: { [sceneId]: { brush, swatchTheme } }
+  game.settings.register(MODULE_ID, "sceneBrushes", {
+    name: "Scene Brushes",
+    scope: "client",
+    config: false,
+    type: Object,
+    default: {},
+  });
+
+  // Schema version of the stored client data (see migration.mjs)
+  game.settings.register(MODULE_ID, "schemaVersion", {
+    name: "Schema Version",
+    scope: "client",
+    config: false,
+    type: Number,
+    default: 0,
+  });
+
+  // Schema version of the stored world data (shared presets)
+  game.settings.register(MODULE_ID, "worldSchemaVersion", {
+    name: "World Schema Version",
+    scope: "world",
+    config: false,
+    type: Number,
+    default: 0,
+  });
+
   game.settings.register(MODULE_ID, "presets", {
     name: "Brush Presets",
     scope: "client",
@@ -250,6 +340,32 @@ Hooks.once("init", () => {
     default: DEFAULT_PRESETS,
   });
 
+  // Shared preset library, managed by the GM and visible to every user
+  game.settings.register(MODULE_ID, "sharedPresets", {
+    name: "Shared Brush Presets",
+    scope: "world",
+    config: false,
+    type: Array,
+    default: [],
+    onChange: () => {
+      if (palette?.rendered) palette.render();
+    },
+  });
+
+  // User-defined named dash patterns: [{ name, dash: number[] }]
+  game.settings.register(MODULE_ID, "dashStyles", {
+    name: "Dash Styles",
+    scope: "client",
+    config: false,
+    type: Array,
+    default: [],
+    onChange: () => {
+      if (palette?.rendered) palette.render();
+    },
+  });
+
+  // Legacy single custom swatch list and its name; migrated into
+  // "swatchSets" (schema version 2)
   game.settings.register(MODULE_ID, "swatches", {
     name: "Color Swatches",
     scope: "client",
@@ -258,28 +374,79 @@ Hooks.once("init", () => {
     default: DEFAULT_SWATCHES,
   });
 
+  game.settings.register(MODULE_ID, "customSwatchName", {
+    name: "Custom Swatch Set Name",
+    scope: "client",
+    config: false,
+    type: String,
+    default: "",
+  });
+
+  // User-defined swatch sets: [{ id, name, colors: string[] }]
+  game.settings.register(MODULE_ID, "swatchSets", {
+    name: "Swatch Sets",
+    scope: "client",
+    config: false,
+    type: Array,
+    default: [],
+    onChange: () => {
+      _refreshSwatchThemeChoices();
+      if (palette?.rendered) palette.render();
+    },
+  });
+
+  // Choices are the built-in themes followed by the user's swatch sets, and
+  // are kept up to date as sets are added, renamed or deleted
   game.settings.register(MODULE_ID, "swatchTheme", {
     name: "BRUSH_PALETTE.SwatchTheme",
     hint: "BRUSH_PALETTE.SwatchThemeHint",
     scope: "client",
     config: true,
     type: String,
-    choices: {
-      default: "BRUSH_PALETTE.ThemeDefault",
-      pastel: "BRUSH_PALETTE.ThemePastel",
-      muted: "BRUSH_PALETTE.ThemeMuted",
-      neon: "BRUSH_PALETTE.ThemeNeon",
-      monochrome: "BRUSH_PALETTE.ThemeMonochrome",
-      warm: "BRUSH_PALETTE.ThemeWarm",
-      cool: "BRUSH_PALETTE.ThemeCool",
-      custom: "BRUSH_PALETTE.ThemeCustom",
-    },
+    choices: _getSwatchThemeChoices(),
     default: "default",
     onChange: () => {
       if (palette?.rendered) palette.render();
     },
   });
 
+  // Most-recently-used colors per section, kept for each user
+  game.settings.register(MODULE_ID, "recentColors", {
+    name: "Recent Colors",
+    scope: "user",
+    config: false,
+    type: Object,
+    default: { stroke: [], fill: [], text: [] },
+    onChange: () => {
+      if (palette?.rendered) palette.refreshRecentColors();
+    },
+  });
+
+  // Ids of the presets shown in the radial quick-pick menu
+  game.settings.register(MODULE_ID, "favoritePresets", {
+    name: "Favorite Presets",
+    scope: "client",
+    config: false,
+    type: Array,
+    default: [],
+    onChange: () => {
+      if (palette?.rendered) palette.render();
+    },
+  });
+
+  // Preview the swatches as seen with a color vision deficiency
+  game.settings.register(MODULE_ID, "colorVisionSimulation", {
+    name: "Color Vision Simulation",
+    scope: "client",
+    config: false,
+    type: String,
+    choices: COLOR_VISION_TYPES,
+    default: "none",
+    onChange: () => {
+      if (palette?.rendered) palette.render();
+    },
+  });
+
   game.settings.register(MODULE_ID, "palettePosition", {
     name: "Palette Position",
     scope: "client",
@@ -288,6 +455,43 @@ Hooks.once("init", () => {
     default: null,
   });
 
+  // Open sections and minimized state of the palette window
+  game.settings.register(MODULE_ID, "paletteState", {
+    name: "Palette State",
+    scope: "client",
+    config: false,
+    type: Object,
+    default: { sections: {}, minimized: false },
+  });
+
+  // A floating window, or a slim toolbar docked to a screen edge
+  game.settings.register(MODULE_ID, "paletteLayout", {
+    name: "BRUSH_PALETTE.Layout",
+    hint: "BRUSH_PALETTE.LayoutHint",
+    scope: "client",
+    config: true,
+    type: String,
+    choices: {
+      window: "BRUSH_PALETTE.LayoutWindow",
+      top: "BRUSH_PALETTE.LayoutTop",
+      bottom: "BRUSH_PALETTE.LayoutBottom",
+      controls: "BRUSH_PALETTE.LayoutControls",
+    },
+    default: "window",
+    onChange: () => _rebuildPalette(),
+  });
+
+  game.settings.register(MODULE_ID, "paletteScale", {
+    name: "BRUSH_PALETTE.Scale",
+    hint: "BRUSH_PALETTE.ScaleHint",
+    scope: "client",
+    config: true,
+    type: Number,
+    range: { min: 0.6, max: 1.6, step: 0.1 },
+    default: 1,
+    onChange: () => _rebuildPalette(),
+  });
+
   // Register restore presets menu button
   game.settings.registerMenu(MODULE_ID, "restorePresetsMenu", {
     name: "BRUSH_PALETTE.RestorePresets",
@@ -298,6 +502,46 @@ Hooks.once("init", () => {
     restricted: false,
   });
 
+  // Register import/export menu buttons
+  game.settings.registerMenu(MODULE_ID, "exportPresetsMenu", {
+    name: "BRUSH_PALETTE.ExportPresets",
+    hint: "BRUSH_PALETTE.ExportPresetsHint",
+    label: "BRUSH_PALETTE.Export",
+    icon: "fas fa-file-export",
+    type: ExportPresetsButton,
+    restricted: false,
+  });
+
+  game.settings.registerMenu(MODULE_ID, "importPresetsMenu", {
+    name: "BRUSH_PALETTE.ImportPresets",
+    hint: "BRUSH_PALETTE.ImportPresetsHint",
+    label: "BRUSH_PALETTE.Import",
+    icon: "fas fa-file-import",
+    type: ImportPresetsButton,
+    restricted: false,
+  });
+
+  game.settings.registerMenu(MODULE_ID, "importSwatchesMenu", {
+    name: "BRUSH_PALETTE.SwatchImport",
+    hint: "BRUSH_PALETTE.SwatchImportHint",
+    label: "BRUSH_PALETTE.Import",
+    icon: "fas fa-palette",
+    type: ImportSwatchesButton,
+    restricted: false,
+  });
+
+  game.settings.registerMenu(MODULE_ID, "exportSwatchesMenu", {
+    name: "BRUSH_PALETTE.SwatchExport",
+    hint: "BRUSH_PALETTE.SwatchExportHint",
+    label: "BRUSH_PALETTE.Export",
+    icon: "fas fa-palette",
+    type: ExportSwatchesButton,
+    restricted: false,
+  });
+
+  registerKeybindings();
+  registerRadialMenu();
+
   // Apply ADT dash/dot flags to new drawings - core fields are set via the
   // Foundry drawing config setting and applied natively by DrawingsLayer.
   Hooks.on("preCreateDrawing", (document, data, options, userId) => {
@@ -308,7 +552,7 @@ Hooks.once("init", () => {
 
     // Apply stroke style (dashed lines) via advanced-drawing-tools flags
     if (game.modules.get("advanced-drawing-tools")?.active) {
-      const dashPattern = STROKE_DASH_PATTERNS[brush.strokeStyle] || null;
+      const dashPattern = _getBrushDashPattern();
       if (dashPattern) {
         document.updateSource({
           flags: {
@@ -319,6 +563,9 @@ Hooks.once("init", () => {
         });
       }
     }
+
+    // Freehand lines drawn in taper mode become filled outlines
+    if (game.activeTool === "freehand") applyStrokeTaper(document);
   });
 });
 
@@ -342,7 +589,7 @@ class RestorePresetsButton extends FormApplication {
     });
 
     if (confirmed) {
-      await game.settings.set(MODULE_ID, "presets", DEFAULT_PRESETS);
+      await savePresets(DEFAULT_PRESETS, "personal");
       ui.notifications.info(
         game.i18n.localize("BRUSH_PALETTE.RestorePresetsSuccess"),
       );
@@ -360,12 +607,75 @@ class RestorePresetsButton extends FormApplication {
   }
 }
 
+/**
+ * Fake FormApplication that immediately downloads the presets export
+ */
+class ExportPresetsButton extends FormApplication {
+  constructor() {
+    super();
+    exportPaletteData();
+  }
+
+  async _updateObject() {}
+  render() {
+    return this;
+  }
+}
+
+/**
+ * Fake FormApplication that immediately opens the import dialog
+ */
+class ImportPresetsButton extends FormApplication {
+  constructor() {
+    super();
+    importPaletteData();
+  }
+
+  async _updateObject() {}
+  render() {
+    return this;
+  }
+}
+
+/**
+ * Menu button that imports a swatch palette file (.gpl, .hex, .txt, .ase)
+ */
+class ImportSwatchesButton extends FormApplication {
+  constructor() {
+    super();
+    importSwatchFile();
+  }
+
+  async _updateObject() {}
+  render() {
+    return this;
+  }
+}
+
+/**
+ * Menu button that exports the swatches as a palette file
+ */
+class ExportSwatchesButton extends FormApplication {
+  constructor() {
+    super();
+    exportSwatchFile();
+  }
+
+  async _updateObject() {}
+  render() {
+    return this;
+  }
+}
+
 /**
  * Ready hook - load persisted settings
  */
-Hooks.once("ready", () => {
+Hooks.once("ready", async () => {
+  // Upgrade and validate stored data before anything reads it
+  await runMigrations();
+
   // Load persisted brush settings now that game is fully ready
-  _loadPersistedBrush();
+  _loadSceneBrush();
   _validateBrush();
 
   // Update Foundry's core drawing config to match our brush
@@ -385,7 +695,7 @@ Hooks.once("ready", () => {
         const result = wrapped(event);
         const preview = event.interactionData?.preview;
         if (preview?.document) {
-          const dashPattern = STROKE_DASH_PATTERNS[brush.strokeStyle] || null;
+          const dashPattern = _getBrushDashPattern();
           preview.document.updateSource({
             flags: {
               "advanced-drawing-tools": {
@@ -401,76 +711,139 @@ Hooks.once("ready", () => {
       "WRAPPER",
     );
   }
+
+  registerTaperedStrokes();
 });
 
 /**
- * When the drawings layer is activated, ensure valid brush values
+ * When a scene is loaded, switch to its brush profile (or back to the global
+ * brush) and ensure valid brush values
  */
 Hooks.on("canvasReady", () => {
+  _loadSceneBrush();
   // Ensure brush is valid whenever canvas loads
   _validateBrush();
   _updateCoreDrawingConfig();
+  if (palette?.rendered) palette.render();
 });
 
 /**
  * Ensure brush values are valid (won't cause validation errors)
  */
 function _validateBrush() {
-  brush.strokeWidth = _coerceNumber(
-    brush.strokeWidth,
-    DEFAULT_BRUSH.strokeWidth,
-    {
+  Object.assign(brush, validateBrushData(brush));
+}
+
+/**
+ * Return a copy of brush-shaped data (the brush, a preset, imported data)
+ * with every palette-managed field coerced to a valid value. Missing or
+ * invalid fields fall back to the defaults and out-of-range numbers are
+ * clamped.
+ * @param {object} [data]
+ * @param {object} [options]
+ * @param {object[]} [options.repairs]  Receives a { field, from, to } entry
+ *                                      for every value that was changed
+ */
+export function validateBrushData(data = {}, { repairs } = {}) {
+  const result = {
+    strokeWidth: _coerceNumber(data.strokeWidth, DEFAULT_BRUSH.strokeWidth, {
       min: 0,
-    },
-  );
-  brush.strokeAlpha = _coerceNumber(
-    brush.strokeAlpha,
-    DEFAULT_BRUSH.strokeAlpha,
-    {
+    }),
+    strokeAlpha: _coerceNumber(data.strokeAlpha, DEFAULT_BRUSH.strokeAlpha, {
       min: 0,
-    },
-  );
-  brush.strokeColor = brush.strokeColor || "#000000";
-  brush.fillType = _coerceNumber(brush.fillType, DEFAULT_BRUSH.fillType, {
-    min: 0,
-  });
-  brush.fillAlpha = _coerceNumber(brush.fillAlpha, DEFAULT_BRUSH.fillAlpha, {
-    min: 0,
-  });
-  brush.fillColor = brush.fillColor || "#ffffff";
-  brush.bezierFactor = _coerceNumber(
-    brush.bezierFactor,
-    DEFAULT_BRUSH.bezierFactor,
-    { min: 0 },
-  );
-  brush.strokeStyle = brush.strokeStyle || "solid";
-  brush.text = brush.text ?? DEFAULT_BRUSH.text;
-  brush.fontFamily = brush.fontFamily ?? DEFAULT_BRUSH.fontFamily;
-  brush.fontSize = _coerceNumber(brush.fontSize, DEFAULT_BRUSH.fontSize, {
-    min: 8,
-  });
-  brush.textColor = brush.textColor || DEFAULT_BRUSH.textColor;
-  brush.textAlpha = _coerceNumber(brush.textAlpha, DEFAULT_BRUSH.textAlpha, {
-    min: 0,
-  });
+      max: 1,
+    }),
+    strokeColor: _toHexString(data.strokeColor, DEFAULT_BRUSH.strokeColor),
+    fillType: Math.round(
+      _coerceNumber(data.fillType, DEFAULT_BRUSH.fillType, { min: 0, max: 2 }),
+    ),
+    fillAlpha: _coerceNumber(data.fillAlpha, DEFAULT_BRUSH.fillAlpha, {
+      min: 0,
+      max: 1,
+    }),
+    fillColor: _toHexString(data.fillColor, DEFAULT_BRUSH.fillColor),
+    texture: _coerceString(data.texture, DEFAULT_BRUSH.texture),
+    bezierFactor: _coerceNumber(data.bezierFactor, DEFAULT_BRUSH.bezierFactor, {
+      min: 0,
+      max: 0.5,
+    }),
+    strokeStyle: _coerceString(data.strokeStyle, "solid", {
+      allowEmpty: false,
+    }),
+    strokeDash:
+      data.strokeDash === null
+        ? null
+        : (normalizeDashPattern(data.strokeDash) ??
+          getDashForStyle(data.strokeStyle)),
+    text: _coerceString(data.text, DEFAULT_BRUSH.text),
+    fontFamily: _coerceString(data.fontFamily, DEFAULT_BRUSH.fontFamily),
+    fontSize: _coerceNumber(data.fontSize, DEFAULT_BRUSH.fontSize, {
+      min: 8,
+    }),
+    textColor: _toHexString(data.textColor, DEFAULT_BRUSH.textColor),
+    textAlpha: _coerceNumber(data.textAlpha, DEFAULT_BRUSH.textAlpha, {
+      min: 0,
+      max: 1,
+    }),
+    taper: typeof data.taper === "boolean" ? data.taper : DEFAULT_BRUSH.taper,
+    taperMinWidth: _coerceNumber(
+      data.taperMinWidth,
+      DEFAULT_BRUSH.taperMinWidth,
+      { min: 0 },
+    ),
+    taperMaxWidth: _coerceNumber(
+      data.taperMaxWidth,
+      DEFAULT_BRUSH.taperMaxWidth,
+      { min: 1 },
+    ),
+    taperLength: _coerceNumber(data.taperLength, DEFAULT_BRUSH.taperLength, {
+      min: 0,
+    }),
+  };
+
+  if (repairs) {
+    for (const [field, to] of Object.entries(result)) {
+      const from = data[field];
+      // Hex colors are only normalized to lowercase; that is not a repair
+      if (typeof from === "string" && from.toLowerCase() === to) continue;
+      if (!_isSameValue(from ?? null, to)) repairs.push({ field, from, to });
+    }
+  }
+  return result;
+}
+
+/**
+ * Coerce a value to a string, falling back when it is not one
+ * (or is empty, unless `allowEmpty`).
+ */
+function _coerceString(value, fallback, { allowEmpty = true } = {}) {
+  if (typeof value !== "string") return fallback;
+  if (!allowEmpty && !value) return fallback;
+  return value;
 }
 
 /**
  * Coerce a value to a finite number while preserving valid zeroes.
  */
-function _coerceNumber(value, fallback, { min = -Infinity } = {}) {
+function _coerceNumber(
+  value,
+  fallback,
+  { min = -Infinity, max = Infinity } = {},
+) {
   const number = Number(value);
   if (!Number.isFinite(number)) return fallback;
-  return Math.max(min, number);
+  return Math.clamp(number, min, max);
 }
 
 /**
- * Close the palette when the user leaves the drawings layer.
+ * Close the palette when the user leaves the drawings layer, and keep a
+ * toolbar docked beside the controls lined up with them.
  */
 Hooks.on("renderSceneControls", () => {
-  if (ui.controls?.control?.name !== "drawings" && palette?.rendered) {
-    _hidePalette();
-  }
+  if (!palette?.rendered) return;
+  if (ui.controls?.control?.name !== "drawings") _hidePalette();
+  // The toolbar docked beside the controls follows their width
+  else palette.updateDockPosition();
 });
 
 /**
@@ -498,42 +871,92 @@ Hooks.on("getSceneControlButtons", (controls) => {
  */
 Hooks.on("canvasTearDown", () => {
   _hidePalette();
+  clearHistory();
 });
 
 /**
  * When a drawing is controlled (selected) or released, sync the palette.
- * - Single drawing selected → show its properties in the palette.
- * - Drawing deselected (or multiple selected) → restore the pre-selection brush.
+ * - One or more drawings selected → show their shared properties in the palette.
+ * - All drawings deselected → restore the pre-selection brush.
  */
 Hooks.on("controlDrawing", (_drawing, _controlled) => {
   const nowControlled = canvas.drawings?.controlled ?? [];
 
-  if (nowControlled.length === 1) {
-    const single = nowControlled[0];
+  if (nowControlled.length > 0) {
     // Backup the brush the first time we enter selection mode
-    if (!_selectedDrawing) {
+    if (!_selectedDrawings.length) {
       _preSelectionBrush = { ...brush };
     }
-    if (_selectedDrawing?.id !== single.id) {
-      _selectedDrawing = single;
-      _selectedDrawingBaseline = _getDrawingManagedState(single.document);
-      _selectedDrawingTouchedFields = new Set();
-      _loadDrawingIntoBrush(single);
+    if (!_isSameDrawingSelection(nowControlled)) {
+      // A new selection starts a new undo entry
+      closeHistoryGroup();
+      _selectedDrawings = [...nowControlled];
+      _loadSelectedDrawings();
     }
   } else {
-    // Nothing selected (or multi-select) — restore original brush
+    closeHistoryGroup();
+    // Nothing selected — restore original brush
     if (_preSelectionBrush) {
       Object.assign(brush, _preSelectionBrush);
       _preSelectionBrush = null;
     }
-    _selectedDrawing = null;
+    _selectedDrawings = [];
     _selectedDrawingBaseline = null;
+    _selectedDrawingMixedFields = new Set();
     _selectedDrawingTouchedFields = new Set();
   }
 
   if (palette?.rendered) palette.render();
 });
 
+/**
+ * Load the selected drawings' shared style into the brush and make it the
+ * baseline for tracking which fields the user changes.
+ */
+function _loadSelectedDrawings() {
+  const { shared, mixed } = _mergeManagedStates(
+    _selectedDrawings.map((d) => _getDrawingManagedState(d.document)),
+  );
+  _selectedDrawingBaseline = shared;
+  _selectedDrawingMixedFields = mixed;
+  _selectedDrawingTouchedFields = new Set();
+  Object.assign(brush, shared);
+}
+
+/**
+ * Reload the selected drawings into the palette after their styles changed
+ * outside of it (e.g. through undo/redo).
+ */
+export function resyncSelectedDrawings() {
+  if (!_selectedDrawings.length) return;
+  _loadSelectedDrawings();
+  if (palette?.rendered) palette.render();
+}
+
+/**
+ * Check whether the given drawings are exactly the ones already being edited.
+ */
+function _isSameDrawingSelection(drawings) {
+  if (drawings.length !== _selectedDrawings.length) return false;
+  const ids = new Set(_selectedDrawings.map((d) => d.id));
+  return drawings.every((d) => ids.has(d.id));
+}
+
+/**
+ * Merge several managed states into one. Fields that differ between states
+ * are reported as mixed and take the first state's value.
+ */
+function _mergeManagedStates(states) {
+  const shared = { ...states[0] };
+  const mixed = new Set();
+  for (const state of states.slice(1)) {
+    for (const [field, value] of Object.entries(state)) {
+      if (!_isSameValue(shared[field], value)) mixed.add(field);
+    }
+  }
+  return { shared, mixed };
+}
+
 /**
  * Built-in Foundry drawing creation tools.
  * Used to limit brush-palette overrides to only user-initiated drawings.
@@ -581,6 +1004,40 @@ function _hidePalette(syncToggle = true) {
   if (syncToggle) _setToggleActive(false);
 }
 
+/**
+ * Replace the palette with one in the current layout and scale, which are
+ * fixed when it is created, and reopen it if it was open.
+ */
+async function _rebuildPalette() {
+  const previous = palette;
+  palette = null;
+  if (!previous?.rendered) return;
+  await previous.close({ animate: false, relayout: true });
+  _showPalette(false);
+}
+
+/**
+ * Open the palette window.
+ */
+export function openPalette() {
+  _showPalette();
+}
+
+/**
+ * Close the palette window.
+ */
+export function closePalette() {
+  _hidePalette();
+}
+
+/**
+ * Open the palette if it is closed, close it if it is open.
+ */
+export function togglePalette() {
+  if (palette?.rendered) _hidePalette();
+  else _showPalette();
+}
+
 /**
  * Sync the toolbar toggle button active state.
  * @param {boolean} active
@@ -605,64 +1062,164 @@ function _loadPersistedBrush() {
   }
 }
 
+/**
+ * Load the current scene's brush profile, or the global brush if the scene
+ * has none.
+ */
+function _loadSceneBrush() {
+  const sceneId = canvas?.scene?.id ?? null;
+  const profile = getSceneProfile(sceneId);
+  _sceneProfileId = profile ? sceneId : null;
+  if (profile) {
+    Object.assign(brush, profile.brush);
+    _validateBrush();
+  } else {
+    _loadPersistedBrush();
+  }
+}
+
 /**
  * Save current brush settings (or apply to selected drawing if one is active).
  */
 export function saveBrushSettings(changedFields = null) {
-  if (_selectedDrawing) {
-    // Apply changes directly to the selected drawing; don't overwrite the
+  if (_selectedDrawings.length) {
+    // Apply changes directly to the selected drawings; don't overwrite the
     // saved brush defaults while we're in "drawing edit" mode.
     _syncSelectedDrawingTouchedFields(changedFields);
-    _applyBrushToSelectedDrawing();
+    _applyBrushToSelectedDrawings();
+    _keepBrushOnlyFields(changedFields);
+    _callBrushChanged(changedFields, "drawings");
     return;
   }
 
-  game.settings.set(MODULE_ID, "lastBrush", { ...brush });
+  _persistBrush(brush);
 
   // Also update Foundry's core drawing config so new drawings pick up our settings.
   // The key changed in V14+ (defaultDrawingConfig → drawingPalette).
   _updateCoreDrawingConfig();
+  _callBrushChanged(changedFields, "brush");
 }
 
 /**
- * Update Foundry's core drawing config with current brush settings.
- * V13: "core.defaultDrawingConfig"  |  V14+: "core.drawingPalette"
- * Both versions register this as a proper client setting.
+ * Save brush data as the brush for new drawings: in the active scene
+ * profile, or as the global brush.
  */
-function _updateCoreDrawingConfig() {
-  try {
-    // fillType 2 (pattern) without a texture fails Foundry validation,
-    // so fall back to solid (1) in that case.
-    let fillType = _coerceNumber(brush.fillType, DEFAULT_BRUSH.fillType, {
-      min: 0,
-    });
-    if (fillType === 2) fillType = 1;
+function _persistBrush(data) {
+  if (_sceneProfileId)
+    _updateSceneProfile(_sceneProfileId, { brush: { ...data } });
+  else game.settings.set(MODULE_ID, "lastBrush", { ...data });
+}
 
-    const config = {
-      strokeColor: brush.strokeColor || "#000000",
-      strokeWidth: _coerceNumber(brush.strokeWidth, DEFAULT_BRUSH.strokeWidth, {
-        min: 0,
-      }),
-      strokeAlpha: _coerceNumber(brush.strokeAlpha, DEFAULT_BRUSH.strokeAlpha, {
-        min: 0,
-      }),
-      fillType: fillType,
-      fillColor: brush.fillColor || "#ffffff",
-      fillAlpha: _coerceNumber(brush.fillAlpha, DEFAULT_BRUSH.fillAlpha, {
+/**
+ * Brush fields that drawings don't have (like the taper settings) can't be
+ * applied to the selected drawings. Keep their changes for new drawings, so
+ * they survive the selection being released.
+ */
+function _keepBrushOnlyFields(changedFields) {
+  const fields = [changedFields ?? Object.keys(brush)]
+    .flat()
+    .filter(
+      (field) => field in DEFAULT_BRUSH && !(field in _selectedDrawingBaseline),
+    );
+  if (fields.length === 0) return;
+
+  for (const field of fields) _preSelectionBrush[field] = brush[field];
+  _persistBrush(_preSelectionBrush);
+}
+
+/**
+ * Fire the brushChanged hook with a copy of the brush (or of other brush
+ * data that was saved, such as the brush kept aside during a selection).
+ */
+function _callBrushChanged(fields, target, data = brush) {
+  Hooks.callAll("brushPalette.brushChanged", foundry.utils.deepClone(data), {
+    fields: fields ? [...fields] : null,
+    target,
+  });
+}
+
+/**
+ * Set one or more brush fields and save them. This is the shared path for
+ * palette inputs, swatches, keybindings and presets: it goes through
+ * saveBrushSettings (so selected-drawing edit mode is respected) and then
+ * refreshes the open palette in place instead of re-rendering it.
+ * @param {object} changes  Brush fields to set; unknown keys are ignored
+ * @param {object} [options]
+ * @param {HTMLElement} [options.source]  Palette input that made the change
+ */
+export function updateBrush(changes, { source } = {}) {
+  const fields = Object.keys(changes).filter((field) => field in DEFAULT_BRUSH);
+  if (fields.length === 0) return;
+
+  for (const field of fields) brush[field] = changes[field];
+  saveBrushSettings(fields);
+
+  if (palette?.rendered) palette.refreshFields(fields, { except: source });
+}
+
+/**
+ * Load a preset into the brush. Fields the preset doesn't define keep
+ * their current values.
+ */
+export function applyPreset(preset) {
+  const changes = {};
+  for (const field of Object.keys(DEFAULT_BRUSH)) {
+    if (preset[field] !== undefined && preset[field] !== null) {
+      changes[field] = preset[field];
+    }
+  }
+  // Presets from before custom dash patterns only name their style
+  if (changes.strokeStyle && preset.strokeDash === undefined) {
+    changes.strokeDash = getDashForStyle(changes.strokeStyle);
+  } else if (preset.strokeDash === null) {
+    changes.strokeDash = null;
+  }
+  updateBrush(changes);
+  Hooks.callAll("brushPalette.presetApplied", foundry.utils.deepClone(preset));
+}
+
+/**
+ * Update Foundry's core drawing config with current brush settings.
+ * V13: "core.defaultDrawingConfig"  |  V14+: "core.drawingPalette"
+ * Both versions register this as a proper client setting.
+ * @param {object} [data=brush]  Brush fields to take the values from
+ */
+function _updateCoreDrawingConfig(data = brush) {
+  try {
+    // fillType 2 (pattern) without a texture fails Foundry validation,
+    // so fall back to solid (1) in that case.
+    const texture = data.texture || "";
+    let fillType = _coerceNumber(data.fillType, DEFAULT_BRUSH.fillType, {
+      min: 0,
+    });
+    if (fillType === 2 && !texture) fillType = 1;
+
+    const config = {
+      strokeColor: data.strokeColor || "#000000",
+      strokeWidth: _coerceNumber(data.strokeWidth, DEFAULT_BRUSH.strokeWidth, {
+        min: 0,
+      }),
+      strokeAlpha: _coerceNumber(data.strokeAlpha, DEFAULT_BRUSH.strokeAlpha, {
         min: 0,
       }),
+      fillType: fillType,
+      fillColor: data.fillColor || "#ffffff",
+      fillAlpha: _coerceNumber(data.fillAlpha, DEFAULT_BRUSH.fillAlpha, {
+        min: 0,
+      }),
+      texture: texture || null,
       bezierFactor: _coerceNumber(
-        brush.bezierFactor,
+        data.bezierFactor,
         DEFAULT_BRUSH.bezierFactor,
         { min: 0 },
       ),
-      text: brush.text || "",
-      fontFamily: brush.fontFamily || "",
-      fontSize: _coerceNumber(brush.fontSize, DEFAULT_BRUSH.fontSize, {
+      text: data.text || "",
+      fontFamily: data.fontFamily || "",
+      fontSize: _coerceNumber(data.fontSize, DEFAULT_BRUSH.fontSize, {
         min: 8,
       }),
-      textColor: brush.textColor || "#ffffff",
-      textAlpha: _coerceNumber(brush.textAlpha, DEFAULT_BRUSH.textAlpha, {
+      textColor: data.textColor || "#ffffff",
+      textAlpha: _coerceNumber(data.textAlpha, DEFAULT_BRUSH.textAlpha, {
         min: 0,
       }),
     };
@@ -673,49 +1230,509 @@ function _updateCoreDrawingConfig() {
   }
 }
 
+/**
+ * Setting keys for each preset source.
+ * "personal" presets are per-client; "shared" presets are world-scoped and
+ * can only be changed by the GM.
+ */
+const PRESET_SETTINGS = {
+  personal: "presets",
+  shared: "sharedPresets",
+};
+
 /**
  * Get presets
+ * @param {"personal"|"shared"} [source="personal"]
  */
-export function getPresets() {
-  return game.settings.get(MODULE_ID, "presets") || [];
+export function getPresets(source = "personal") {
+  const key = PRESET_SETTINGS[source] ?? PRESET_SETTINGS.personal;
+  const presets = game.settings.get(MODULE_ID, key) || [];
+  // Shared presets only get ids once a GM has migrated them; until then
+  // their position stands in, which is enough to load or copy them
+  return presets.map((preset, index) =>
+    preset.id ? preset : { ...preset, id: `legacy-${index}` },
+  );
 }
 
 /**
- * Save presets
+ * Save presets. Presets without an id, or with one already used in the
+ * list, are given a new one.
+ * @param {object[]} presets
+ * @param {"personal"|"shared"} [source="personal"]
  */
-export function savePresets(presets) {
-  game.settings.set(MODULE_ID, "presets", presets);
+export function savePresets(presets, source = "personal") {
+  const key = PRESET_SETTINGS[source] ?? PRESET_SETTINGS.personal;
+  const ids = new Set();
+  const withIds = presets.map((preset) => {
+    const id =
+      preset.id && !ids.has(preset.id) ? preset.id : foundry.utils.randomID();
+    ids.add(id);
+    return id === preset.id ? preset : { ...preset, id };
+  });
+  return game.settings.set(MODULE_ID, key, withIds);
 }
 
 /**
- * Get swatches — returns the active theme's colors, or custom saved swatches.
+ * Change a preset's name, category or other fields.
+ * @param {string} id
+ * @param {object} changes
+ * @param {"personal"|"shared"} [source="personal"]
+ * @returns {Promise<boolean>} Whether the preset was found and saved
  */
-export function getSwatches() {
-  const theme = game.settings.get(MODULE_ID, "swatchTheme") ?? "default";
-  if (theme === "custom") {
-    return game.settings.get(MODULE_ID, "swatches") || DEFAULT_SWATCHES;
+export async function updatePreset(id, changes, source = "personal") {
+  if (!canEditPresets(source)) return false;
+  const presets = getPresets(source);
+  const index = presets.findIndex((preset) => preset.id === id);
+  if (index === -1) return false;
+  presets[index] = { ...presets[index], ...changes, id };
+  await savePresets(presets, source);
+  return true;
+}
+
+/**
+ * Move a preset in front of another one of the same source, taking on
+ * that preset's category. Locked presets stay where they are.
+ * @param {string} id
+ * @param {string} targetId
+ * @param {"personal"|"shared"} [source="personal"]
+ */
+export async function movePreset(id, targetId, source = "personal") {
+  if (!canEditPresets(source) || id === targetId) return;
+  const presets = getPresets(source);
+  const from = presets.findIndex((preset) => preset.id === id);
+  if (from === -1 || presets[from].locked) return;
+  const [preset] = presets.splice(from, 1);
+  const to = presets.findIndex((p) => p.id === targetId);
+  if (to === -1) return;
+  presets.splice(to, 0, { ...preset, category: presets[to].category ?? "" });
+  await savePresets(presets, source);
+}
+
+/**
+ * Get the ids of the presets marked as favorites (shared or personal).
+ * @returns {string[]}
+ */
+export function getFavoritePresetIds() {
+  const ids = game.settings.get(MODULE_ID, "favoritePresets");
+  return Array.isArray(ids) ? ids : [];
+}
+
+/**
+ * Mark a preset as a favorite, or unmark it.
+ * @param {string} id
+ */
+export async function toggleFavoritePreset(id) {
+  const ids = getFavoritePresetIds();
+  await game.settings.set(
+    MODULE_ID,
+    "favoritePresets",
+    ids.includes(id) ? ids.filter((i) => i !== id) : [...ids, id],
+  );
+}
+
+/**
+ * Get the preset categories in use, sorted by name.
+ * @returns {string[]}
+ */
+export function getPresetCategories() {
+  const categories = new Set(
+    [...getPresets("shared"), ...getPresets("personal")]
+      .map((preset) => preset.category)
+      .filter(Boolean),
+  );
+  return [...categories].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Check whether the current user may change presets from a source.
+ */
+export function canEditPresets(source = "personal") {
+  return source !== "shared" || !!game.user?.isGM;
+}
+
+/**
+ * Build a preset object from the current brush.
+ */
+export function createPresetFromBrush(name) {
+  return {
+    id: foundry.utils.randomID(),
+    name,
+    strokeColor: brush.strokeColor,
+    strokeWidth: brush.strokeWidth,
+    strokeAlpha: brush.strokeAlpha,
+    strokeStyle: brush.strokeStyle,
+    strokeDash: brush.strokeDash ? [...brush.strokeDash] : null,
+    fillType: brush.fillType,
+    fillColor: brush.fillColor,
+    fillAlpha: brush.fillAlpha,
+    texture: brush.texture,
+    bezierFactor: brush.bezierFactor,
+    text: brush.text,
+    fontFamily: brush.fontFamily,
+    fontSize: brush.fontSize,
+    textColor: brush.textColor,
+    textAlpha: brush.textAlpha,
+    taper: brush.taper,
+    taperMinWidth: brush.taperMinWidth,
+    taperMaxWidth: brush.taperMaxWidth,
+    taperLength: brush.taperLength,
+  };
+}
+
+/**
+ * Get the brush profile bound to a scene, or null.
+ * @param {string} [sceneId]  Defaults to the viewed scene
+ * @returns {{brush: object, swatchTheme: string|null}|null}
+ */
+export function getSceneProfile(sceneId = canvas?.scene?.id) {
+  if (!sceneId) return null;
+  const profile = game.settings.get(MODULE_ID, "sceneBrushes")?.[sceneId];
+  return profile?.brush ? profile : null;
+}
+
+/**
+ * Whether the viewed scene's brush profile is active.
+ */
+export function hasSceneProfile() {
+  return !!_sceneProfileId;
+}
+
+/**
+ * Bind the current brush (and optionally the swatch theme) to the viewed
+ * scene. From now on brush changes on this scene are saved to its profile.
+ * @param {object} [options]
+ * @param {boolean} [options.includeTheme=false]
+ * @returns {Promise<boolean>} Whether a profile was saved
+ */
+export async function saveSceneProfile({ includeTheme = false } = {}) {
+  const sceneId = canvas?.scene?.id;
+  if (!sceneId) return false;
+
+  // While editing drawings the brush shows their style; save the brush for
+  // new drawings instead
+  const source = getDrawingBrush();
+  const swatchTheme = includeTheme ? getSwatchTheme() : null;
+  await _updateSceneProfile(sceneId, {
+    brush: validateBrushData(source),
+    swatchTheme,
+  });
+  _sceneProfileId = sceneId;
+  if (palette?.rendered) palette.render();
+  return true;
+}
+
+/**
+ * Remove the viewed scene's brush profile and go back to the global brush.
+ */
+export async function clearSceneProfile() {
+  const sceneId = canvas?.scene?.id;
+  if (!sceneId) return;
+
+  const profiles = { ...game.settings.get(MODULE_ID, "sceneBrushes") };
+  delete profiles[sceneId];
+  await game.settings.set(MODULE_ID, "sceneBrushes", profiles);
+
+  _sceneProfileId = null;
+  if (!_selectedDrawings.length) {
+    _loadPersistedBrush();
+    _updateCoreDrawingConfig();
+  } else {
+    _preSelectionBrush = { ...game.settings.get(MODULE_ID, "lastBrush") };
   }
-  return SWATCH_THEMES[theme] ?? SWATCH_THEMES.default;
+  if (palette?.rendered) palette.render();
 }
 
 /**
- * Update a single swatch color in the custom palette.
- * Switches the theme to "custom" if not already.
+ * Merge changes into a scene's stored profile.
  */
-export async function saveSwatchColor(index, color) {
-  // If not on custom theme, copy current theme's swatches into custom first
-  const theme = game.settings.get(MODULE_ID, "swatchTheme") ?? "default";
-  let swatches;
-  if (theme !== "custom") {
-    swatches = [...(SWATCH_THEMES[theme] ?? SWATCH_THEMES.default)];
-    await game.settings.set(MODULE_ID, "swatchTheme", "custom");
+function _updateSceneProfile(sceneId, changes) {
+  const profiles = { ...game.settings.get(MODULE_ID, "sceneBrushes") };
+  profiles[sceneId] = { swatchTheme: null, ...profiles[sceneId], ...changes };
+  return game.settings.set(MODULE_ID, "sceneBrushes", profiles);
+}
+
+/**
+ * Get the active swatch theme: the scene profile's theme if it has one,
+ * otherwise the swatch theme setting.
+ */
+export function getSwatchTheme() {
+  const sceneTheme = _sceneProfileId
+    ? getSceneProfile(_sceneProfileId)?.swatchTheme
+    : null;
+  return sceneTheme || game.settings.get(MODULE_ID, "swatchTheme") || "default";
+}
+
+/**
+ * Change the active swatch theme, in the scene profile if that is where the
+ * theme comes from.
+ * @param {string} theme  Built-in theme key or swatch set id
+ */
+export async function setSwatchTheme(theme) {
+  if (_sceneProfileId && getSceneProfile(_sceneProfileId)?.swatchTheme) {
+    await _updateSceneProfile(_sceneProfileId, { swatchTheme: theme });
+    if (palette?.rendered) palette.render();
   } else {
-    swatches = [
-      ...(game.settings.get(MODULE_ID, "swatches") || DEFAULT_SWATCHES),
-    ];
+    await game.settings.set(MODULE_ID, "swatchTheme", theme);
   }
-  swatches[index] = color;
-  await game.settings.set(MODULE_ID, "swatches", swatches);
+}
+
+/**
+ * Get the user's swatch sets.
+ * @returns {{id: string, name: string, colors: string[]}[]}
+ */
+export function getSwatchSets() {
+  return game.settings.get(MODULE_ID, "swatchSets") ?? [];
+}
+
+/**
+ * Get every swatch theme: the built-in ones followed by the user's sets.
+ * @returns {{id: string, name: string, custom: boolean}[]}
+ */
+export function getSwatchThemes() {
+  return [
+    ...Object.keys(SWATCH_THEMES).map((id) => ({
+      id,
+      name: game.i18n.localize(_getThemeLabel(id)),
+      custom: false,
+    })),
+    ...getSwatchSets().map(({ id, name }) => ({ id, name, custom: true })),
+  ];
+}
+
+/**
+ * Whether a theme id refers to one of the user's swatch sets.
+ */
+export function isSwatchSet(id) {
+  return getSwatchSets().some((set) => set.id === id);
+}
+
+/**
+ * Localization key of a built-in theme's name.
+ */
+function _getThemeLabel(id) {
+  return `BRUSH_PALETTE.Theme${id.charAt(0).toUpperCase()}${id.slice(1)}`;
+}
+
+/**
+ * Build the swatchTheme setting choices.
+ */
+function _getSwatchThemeChoices() {
+  const choices = {};
+  for (const id of Object.keys(SWATCH_THEMES)) choices[id] = _getThemeLabel(id);
+  for (const set of getSwatchSets()) choices[set.id] = set.name;
+  return choices;
+}
+
+/**
+ * Update the swatchTheme setting choices after the swatch sets changed.
+ */
+function _refreshSwatchThemeChoices() {
+  const setting = game.settings.settings.get(`${MODULE_ID}.swatchTheme`);
+  if (!setting) return;
+  setting.choices = _getSwatchThemeChoices();
+  // The setting's field validates values against its own copy of the choices
+  if (setting.type instanceof foundry.data.fields.StringField) {
+    setting.type.choices = setting.choices;
+  }
+}
+
+/**
+ * Get swatches — returns the active theme's or swatch set's colors.
+ */
+export function getSwatches() {
+  const theme = getSwatchTheme();
+  const set = getSwatchSets().find((s) => s.id === theme);
+  if (set) return set.colors;
+  return SWATCH_THEMES[theme] ?? SWATCH_THEMES.default;
+}
+
+/**
+ * Save the swatch sets.
+ */
+function _saveSwatchSets(sets) {
+  return game.settings.set(MODULE_ID, "swatchSets", sets);
+}
+
+/**
+ * Create a swatch set and switch to it.
+ * @param {string} name
+ * @param {string[]} [colors]  "#rrggbb" colors
+ * @returns {Promise<string>} The new set's id
+ */
+export async function createSwatchSet(name, colors = []) {
+  const id = foundry.utils.randomID();
+  await _saveSwatchSets([
+    ...getSwatchSets(),
+    { id, name, colors: colors.map((c) => c.toLowerCase()) },
+  ]);
+  await setSwatchTheme(id);
+  return id;
+}
+
+/**
+ * Copy a built-in theme or swatch set into a new set and switch to it.
+ * @param {string} [id]  Defaults to the active theme
+ * @returns {Promise<string>} The new set's id
+ */
+export async function duplicateSwatchSet(id = getSwatchTheme()) {
+  const theme = getSwatchThemes().find((t) => t.id === id);
+  const colors =
+    getSwatchSets().find((set) => set.id === id)?.colors ??
+    SWATCH_THEMES[id] ??
+    SWATCH_THEMES.default;
+  const name = game.i18n.format("BRUSH_PALETTE.SwatchSetCopyName", {
+    name: theme?.name ?? id,
+  });
+  return createSwatchSet(name, [...colors]);
+}
+
+/**
+ * Rename a swatch set.
+ */
+export async function renameSwatchSet(id, name) {
+  await _saveSwatchSets(
+    getSwatchSets().map((set) => (set.id === id ? { ...set, name } : set)),
+  );
+}
+
+/**
+ * Delete a swatch set. If it was active, the default theme is used instead.
+ */
+export async function deleteSwatchSet(id) {
+  if (getSwatchTheme() === id) await setSwatchTheme("default");
+  await _saveSwatchSets(getSwatchSets().filter((set) => set.id !== id));
+}
+
+/**
+ * Import colors (e.g. from a palette file) as a new named swatch set and
+ * switch to it.
+ * @param {string[]} colors  "#rrggbb" colors
+ * @param {string} [name]
+ */
+export async function setCustomSwatches(colors, name = "") {
+  await createSwatchSet(
+    name || game.i18n.localize("BRUSH_PALETTE.ThemeCustom"),
+    colors,
+  );
+}
+
+/**
+ * Update a single swatch color in the active swatch set.
+ */
+export async function saveSwatchColor(index, color) {
+  await _editActiveSwatchSet((colors) => {
+    colors[index] = color;
+  });
+}
+
+/**
+ * Add a color to the end of the active swatch set, unless it is already
+ * there. On a built-in theme, a copy of it is made first.
+ */
+export async function pinSwatchColor(color) {
+  await _editActiveSwatchSet((colors) => {
+    if (colors.some((hex) => hex.toLowerCase() === color.toLowerCase())) {
+      return false;
+    }
+    colors.push(color);
+  });
+}
+
+/**
+ * Remove a color from the active swatch set.
+ */
+export async function removeSwatchColor(index) {
+  await _editActiveSwatchSet((colors) => {
+    colors.splice(index, 1);
+  });
+}
+
+/**
+ * Move a color within the active swatch set.
+ */
+export async function moveSwatchColor(from, to) {
+  await _editActiveSwatchSet((colors) => {
+    if (from === to || !(from in colors)) return false;
+    const [color] = colors.splice(from, 1);
+    colors.splice(Math.clamp(to, 0, colors.length), 0, color);
+  });
+}
+
+/**
+ * Change the colors of the active swatch set. On a built-in theme a copy of
+ * the theme is made (and activated) first.
+ * @param {(colors: string[]) => (boolean|void)} edit  Edits the color list in
+ *                                                     place; return false to
+ *                                                     skip saving
+ */
+async function _editActiveSwatchSet(edit) {
+  let id = getSwatchTheme();
+  if (!isSwatchSet(id)) id = await duplicateSwatchSet(id);
+
+  const sets = getSwatchSets().map((set) => ({
+    ...set,
+    colors: [...set.colors],
+  }));
+  const set = sets.find((s) => s.id === id);
+  if (!set || edit(set.colors) === false) return;
+  await _saveSwatchSets(sets);
+}
+
+// Number of recent colors remembered per section
+const MAX_RECENT_COLORS = 8;
+
+// Recent-color list for each brush color field
+export const RECENT_COLOR_KINDS = {
+  strokeColor: "stroke",
+  fillColor: "fill",
+  textColor: "text",
+};
+
+/**
+ * Get the color vision deficiency the swatches are previewed with.
+ * @returns {"none"|"protanopia"|"deuteranopia"|"tritanopia"}
+ */
+export function getColorVisionSimulation() {
+  return game.settings.get(MODULE_ID, "colorVisionSimulation") ?? "none";
+}
+
+/**
+ * Preview the swatches with a color vision deficiency ("none" to stop).
+ * @param {"none"|"protanopia"|"deuteranopia"|"tritanopia"} type
+ */
+export async function setColorVisionSimulation(type) {
+  await game.settings.set(MODULE_ID, "colorVisionSimulation", type);
+}
+
+/**
+ * Get the recently used colors for a section, newest first.
+ * @param {"stroke"|"fill"|"text"} kind
+ */
+export function getRecentColors(kind) {
+  const recent = game.settings.get(MODULE_ID, "recentColors") ?? {};
+  return Array.isArray(recent[kind]) ? recent[kind] : [];
+}
+
+/**
+ * Move a color to the front of a section's recent colors.
+ * @param {"stroke"|"fill"|"text"} kind
+ * @param {string} color  "#rrggbb"
+ */
+export async function addRecentColor(kind, color) {
+  if (!/^#[0-9a-f]{6}$/i.test(color ?? "")) return;
+  color = color.toLowerCase();
+
+  const current = getRecentColors(kind);
+  if (current[0] === color) return;
+
+  const recent = {
+    ...game.settings.get(MODULE_ID, "recentColors"),
+    [kind]: [color, ...current.filter((c) => c !== color)].slice(
+      0,
+      MAX_RECENT_COLORS,
+    ),
+  };
+  await game.settings.set(MODULE_ID, "recentColors", recent);
 }
 
 /**
@@ -732,6 +1749,52 @@ export function savePalettePosition(pos) {
   game.settings.set(MODULE_ID, "palettePosition", pos);
 }
 
+/**
+ * Get the saved open sections and minimized state of the palette window.
+ * @returns {{sections: Record<string, boolean>, minimized: boolean}}
+ */
+export function getPaletteState() {
+  const state = game.settings.get(MODULE_ID, "paletteState") ?? {};
+  return {
+    sections: { ...state.sections },
+    minimized: !!state.minimized,
+  };
+}
+
+/**
+ * Save part of the palette window state.
+ * @param {{sections?: Record<string, boolean>, minimized?: boolean}} changes
+ */
+export function savePaletteState(changes) {
+  game.settings.set(MODULE_ID, "paletteState", {
+    ...getPaletteState(),
+    ...changes,
+  });
+}
+
+/**
+ * Get the palette layout.
+ * @returns {"window"|"top"|"bottom"|"controls"}
+ */
+export function getPaletteLayout() {
+  return game.settings.get(MODULE_ID, "paletteLayout") ?? "window";
+}
+
+/**
+ * Switch the palette layout; an open palette is rebuilt in the new one.
+ * @param {"window"|"top"|"bottom"|"controls"} layout
+ */
+export async function setPaletteLayout(layout) {
+  await game.settings.set(MODULE_ID, "paletteLayout", layout);
+}
+
+/**
+ * Get the palette UI scale (1 is the normal size).
+ */
+export function getPaletteScale() {
+  return game.settings.get(MODULE_ID, "paletteScale") ?? 1;
+}
+
 /**
  * Get palette instance (for external access)
  */
@@ -739,6 +1802,20 @@ export function getPalette() {
   return palette;
 }
 
+/**
+ * Get a copy of the default brush.
+ */
+export function getDefaultBrush() {
+  return { ...DEFAULT_BRUSH };
+}
+
+/**
+ * Get a copy of the default swatch colors.
+ */
+export function getDefaultSwatches() {
+  return [...DEFAULT_SWATCHES];
+}
+
 /**
  * Get module ID
  */
@@ -748,32 +1825,53 @@ export function getModuleId() {
 
 /**
  * Get the currently selected (controlled) drawing being edited, or null.
+ * With a multi-selection this is the first selected drawing.
  */
 export function getSelectedDrawing() {
-  return _selectedDrawing;
+  return _selectedDrawings[0] ?? null;
+}
+
+/**
+ * Get all selected (controlled) drawings being edited.
+ */
+export function getSelectedDrawings() {
+  return _selectedDrawings;
+}
+
+/**
+ * Get the brush used for new drawings. While drawings are selected the
+ * brush shows their style, so this is the brush kept aside until they are
+ * released.
+ */
+export function getDrawingBrush() {
+  return _preSelectionBrush ?? brush;
+}
+
+/**
+ * Get the palette-managed fields that differ across the selected drawings
+ * and have not been set by the user yet.
+ */
+export function getMixedFields() {
+  return new Set(
+    [..._selectedDrawingMixedFields].filter(
+      (field) => !_selectedDrawingTouchedFields.has(field),
+    ),
+  );
 }
 
 /**
- * Coerce a value that may be a Foundry Color object, a number, or a string
- * into a lowercase CSS hex string ("#rrggbb"), falling back to `fallback`.
+ * Coerce a value that may be a Foundry Color object, a number, or a CSS
+ * color string into a lowercase hex string ("#rrggbb"), falling back to
+ * `fallback`. Any alpha component is dropped.
  */
 function _toHexString(value, fallback) {
   if (!value && value !== 0) return fallback;
-  // Foundry Color objects have a .toString() that yields "#rrggbb"
-  const s = String(value);
-  if (/^#[0-9a-f]{6}$/i.test(s)) return s.toLowerCase();
   // Numeric color (e.g. 0xff0000)
   if (typeof value === "number") {
     return `#${value.toString(16).padStart(6, "0")}`;
   }
-  return fallback;
-}
-
-/**
- * Load a drawing's stored properties into the shared brush object.
- */
-function _loadDrawingIntoBrush(drawing) {
-  Object.assign(brush, _getDrawingManagedState(drawing.document));
+  // Foundry Color objects have a .toString() that yields "#rrggbb"
+  return parseColor(String(value))?.hex ?? fallback;
 }
 
 /**
@@ -789,6 +1887,7 @@ function _getBrushManagedState() {
       min: 0,
     }),
     strokeStyle: brush.strokeStyle || DEFAULT_BRUSH.strokeStyle,
+    strokeDash: _getBrushDashPattern(),
     fillType: _coerceNumber(brush.fillType, DEFAULT_BRUSH.fillType, {
       min: 0,
     }),
@@ -796,6 +1895,7 @@ function _getBrushManagedState() {
     fillAlpha: _coerceNumber(brush.fillAlpha, DEFAULT_BRUSH.fillAlpha, {
       min: 0,
     }),
+    texture: brush.texture || DEFAULT_BRUSH.texture,
     bezierFactor: _coerceNumber(
       brush.bezierFactor,
       DEFAULT_BRUSH.bezierFactor,
@@ -813,6 +1913,69 @@ function _getBrushManagedState() {
   };
 }
 
+/**
+ * Copy a drawing's style, or just one of its colors, into the brush.
+ * The sampled values always go to the brush for new drawings, never to the
+ * selected drawings.
+ * @param {Drawing} drawing
+ * @param {"style"|"stroke"|"fill"|"text"} [mode="style"]
+ */
+export function sampleDrawingStyle(drawing, mode = "style") {
+  const state = _getDrawingManagedState(drawing.document);
+  switch (mode) {
+    case "stroke":
+      _storeSample({ strokeColor: state.strokeColor });
+      break;
+    case "fill":
+      _storeSample({ fillColor: state.fillColor });
+      break;
+    case "text":
+      _storeSample({ textColor: state.textColor });
+      break;
+    default:
+      _storeSample(state);
+  }
+}
+
+/**
+ * Set the brush color picked by the eyedropper from the rendered canvas.
+ * In "style" mode a pixel only has a color to give, so it sets the stroke.
+ * @param {string} color  "#rrggbb"
+ * @param {"style"|"stroke"|"fill"|"text"} [mode="style"]
+ */
+export function sampleCanvasColor(color, mode = "style") {
+  const field = { fill: "fillColor", text: "textColor" }[mode] ?? "strokeColor";
+  _storeSample({ [field]: color });
+}
+
+/**
+ * Save sampled brush fields and add the sampled colors to the recent
+ * colors. While drawings are selected the brush shows their style, so the
+ * sample goes into the brush kept aside for after the selection instead of
+ * restyling the drawings.
+ */
+function _storeSample(changes) {
+  for (const [field, kind] of Object.entries(RECENT_COLOR_KINDS)) {
+    if (field in changes) addRecentColor(kind, changes[field]);
+  }
+
+  if (!_selectedDrawings.length) {
+    updateBrush(changes);
+    return;
+  }
+
+  const fields = Object.keys(changes).filter((field) => field in DEFAULT_BRUSH);
+  if (fields.length === 0) return;
+  for (const field of fields) _preSelectionBrush[field] = changes[field];
+
+  _persistBrush(_preSelectionBrush);
+  _updateCoreDrawingConfig(_preSelectionBrush);
+  _callBrushChanged(fields, "brush", _preSelectionBrush);
+  ui.notifications.info(
+    game.i18n.localize("BRUSH_PALETTE.EyedropperSavedForNewDrawings"),
+  );
+}
+
 /**
  * Get the palette-managed state from a drawing document.
  */
@@ -826,6 +1989,7 @@ function _getDrawingManagedState(doc) {
       min: 0,
     }),
     strokeStyle: _getStrokeStyleFromDocument(doc),
+    strokeDash: _getDashFromDocument(doc),
     fillType: _coerceNumber(doc.fillType, DEFAULT_BRUSH.fillType, {
       min: 0,
     }),
@@ -833,6 +1997,7 @@ function _getDrawingManagedState(doc) {
     fillAlpha: _coerceNumber(doc.fillAlpha, DEFAULT_BRUSH.fillAlpha, {
       min: 0,
     }),
+    texture: doc.texture || DEFAULT_BRUSH.texture,
     bezierFactor: _coerceNumber(doc.bezierFactor, DEFAULT_BRUSH.bezierFactor, {
       min: 0,
     }),
@@ -849,46 +2014,147 @@ function _getDrawingManagedState(doc) {
 }
 
 /**
- * Map ADT dash-pattern flags back to a stroke style name.
+ * Map ADT dash-pattern flags back to a stroke style name. Patterns that
+ * match no built-in or saved style are reported as "custom".
  */
 function _getStrokeStyleFromDocument(doc) {
-  if (!game.modules.get("advanced-drawing-tools")?.active) {
-    return DEFAULT_BRUSH.strokeStyle;
-  }
+  return getStyleForDash(_getDashFromDocument(doc));
+}
 
-  const adtDash = doc.flags?.["advanced-drawing-tools"]?.lineStyle?.dash;
-  if (!adtDash || adtDash.length === 0) return "solid";
-  if (
-    adtDash[0] === STROKE_DASH_PATTERNS.dotted[0] &&
-    adtDash[1] === STROKE_DASH_PATTERNS.dotted[1]
-  ) {
-    return "dotted";
-  }
-  if (
-    adtDash[0] === STROKE_DASH_PATTERNS.dashed[0] &&
-    adtDash[1] === STROKE_DASH_PATTERNS.dashed[1]
-  ) {
-    return "dashed";
+/**
+ * Read the exact ADT dash pattern of a drawing, or null for a solid line.
+ */
+function _getDashFromDocument(doc) {
+  if (!game.modules.get("advanced-drawing-tools")?.active) return null;
+  return normalizeDashPattern(
+    doc.flags?.["advanced-drawing-tools"]?.lineStyle?.dash,
+  );
+}
+
+/**
+ * Get the dash pattern new drawings should use, or null for a solid line.
+ */
+function _getBrushDashPattern() {
+  if (brush.strokeStyle === "solid") return null;
+  return (
+    normalizeDashPattern(brush.strokeDash) ?? getDashForStyle(brush.strokeStyle)
+  );
+}
+
+/**
+ * Clean up a dash pattern: an array of positive, finite dash/gap lengths.
+ * Returns null for anything else (including empty patterns).
+ */
+export function normalizeDashPattern(dash) {
+  if (!Array.isArray(dash) || dash.length === 0) return null;
+  const values = dash.map(Number);
+  if (values.some((v) => !Number.isFinite(v) || v <= 0)) return null;
+  return values;
+}
+
+/**
+ * Get all stroke styles: the built-in ones followed by the user's saved
+ * dash patterns.
+ * @returns {{id: string, name: string, dash: number[]|null, builtIn: boolean}[]}
+ */
+export function getDashStyles() {
+  const builtIn = Object.entries(STROKE_DASH_PATTERNS).map(([id, dash]) => ({
+    id,
+    name: game.i18n.localize(
+      `BRUSH_PALETTE.Stroke${id.charAt(0).toUpperCase()}${id.slice(1)}`,
+    ),
+    dash,
+    builtIn: true,
+  }));
+  const saved = (game.settings.get(MODULE_ID, "dashStyles") ?? [])
+    .filter((style) => style?.name && normalizeDashPattern(style.dash))
+    .map((style) => ({
+      id: style.name,
+      name: style.name,
+      dash: normalizeDashPattern(style.dash),
+      builtIn: false,
+    }));
+  return [...builtIn, ...saved];
+}
+
+/**
+ * Look up the dash pattern of a named style (null for solid or unknown).
+ */
+export function getDashForStyle(id) {
+  return getDashStyles().find((style) => style.id === id)?.dash ?? null;
+}
+
+/**
+ * Find the style name for a dash pattern: a built-in or saved style with
+ * exactly that pattern, "solid" for none, otherwise "custom".
+ */
+export function getStyleForDash(dash) {
+  if (!dash) return "solid";
+  const match = getDashStyles().find((style) => _isSameValue(style.dash, dash));
+  return match?.id ?? "custom";
+}
+
+/**
+ * Save a named dash pattern, replacing any saved style with the same name.
+ * Built-in style names are reserved.
+ * @returns {Promise<boolean>} Whether the style was saved
+ */
+export async function saveDashStyle(name, dash) {
+  const pattern = normalizeDashPattern(dash);
+  if (!name || !pattern) return false;
+  if (name in STROKE_DASH_PATTERNS || name === "custom") return false;
+
+  const styles = (game.settings.get(MODULE_ID, "dashStyles") ?? []).filter(
+    (style) => style.name !== name,
+  );
+  styles.push({ name, dash: pattern });
+  await game.settings.set(MODULE_ID, "dashStyles", styles);
+  return true;
+}
+
+/**
+ * Remove a saved dash pattern.
+ */
+export async function deleteDashStyle(name) {
+  const styles = (game.settings.get(MODULE_ID, "dashStyles") ?? []).filter(
+    (style) => style.name !== name,
+  );
+  await game.settings.set(MODULE_ID, "dashStyles", styles);
+}
+
+/**
+ * Compare two managed-state values. Dash patterns are compared by content.
+ */
+function _isSameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
   }
-  return "solid";
+  return a === b;
 }
 
 /**
  * Track which palette-managed fields the user has changed while editing.
+ * Explicitly changed mixed fields always count as touched, since the user
+ * chose one value for every selected drawing.
  */
 function _syncSelectedDrawingTouchedFields(changedFields) {
   if (!_selectedDrawingBaseline) return;
 
   const brushState = _getBrushManagedState();
-  const fields = Array.isArray(changedFields)
+  const explicit = Array.isArray(changedFields)
     ? changedFields
     : typeof changedFields === "string"
       ? [changedFields]
-      : Object.keys(_selectedDrawingBaseline);
+      : null;
+  const fields = explicit ?? Object.keys(_selectedDrawingBaseline);
 
   for (const field of fields) {
     if (!(field in _selectedDrawingBaseline)) continue;
-    if (brushState[field] === _selectedDrawingBaseline[field]) {
+    if (explicit && _selectedDrawingMixedFields.has(field)) {
+      _selectedDrawingTouchedFields.add(field);
+    } else if (
+      _isSameValue(brushState[field], _selectedDrawingBaseline[field])
+    ) {
       _selectedDrawingTouchedFields.delete(field);
     } else {
       _selectedDrawingTouchedFields.add(field);
@@ -897,40 +2163,125 @@ function _syncSelectedDrawingTouchedFields(changedFields) {
 }
 
 /**
- * Apply the current brush settings to the selected drawing document.
+ * Build the update for one drawing document from the given brush fields
+ * (by default the ones touched while editing the selection). Returns null
+ * when the drawing already matches.
  */
-function _applyBrushToSelectedDrawing() {
-  if (!_selectedDrawing?.document) return;
-
-  const brushState = _getBrushManagedState();
-  const drawingState = _getDrawingManagedState(_selectedDrawing.document);
+function _getDrawingUpdate(
+  doc,
+  brushState,
+  fields = _selectedDrawingTouchedFields,
+) {
+  const drawingState = _getDrawingManagedState(doc);
   const updates = {};
 
-  for (const field of _selectedDrawingTouchedFields) {
-    if (field === "strokeStyle") continue;
+  for (const field of fields) {
+    if (field === "strokeStyle" || field === "strokeDash") continue;
     if (brushState[field] !== drawingState[field]) {
       updates[field] = brushState[field];
     }
   }
 
+  // Foundry stores "no texture" as null. A pattern fill needs a texture to
+  // pass validation, so keep the fill solid until one is picked.
+  if ("texture" in updates) updates.texture ||= null;
+  const texture = "texture" in updates ? updates.texture : drawingState.texture;
+  if (updates.fillType === 2 && !texture) {
+    if (drawingState.fillType === 1) delete updates.fillType;
+    else updates.fillType = 1;
+  }
+
   if (
     game.modules.get("advanced-drawing-tools")?.active &&
-    _selectedDrawingTouchedFields.has("strokeStyle") &&
-    brushState.strokeStyle !== drawingState.strokeStyle
+    (fields.has("strokeStyle") || fields.has("strokeDash")) &&
+    !_isSameValue(brushState.strokeDash, drawingState.strokeDash)
   ) {
     updates["flags.advanced-drawing-tools.lineStyle.dash"] =
-      STROKE_DASH_PATTERNS[brushState.strokeStyle] || null;
+      brushState.strokeDash;
+  }
+
+  return Object.keys(updates).length ? updates : null;
+}
+
+/**
+ * Apply the touched brush settings to every selected drawing in one batch.
+ */
+function _applyBrushToSelectedDrawings() {
+  const scene = _selectedDrawings[0]?.document?.parent;
+  if (!scene) return;
+
+  const brushState = _getBrushManagedState();
+  const updates = [];
+  for (const drawing of _selectedDrawings) {
+    if (!drawing.document) continue;
+    const update = _getDrawingUpdate(drawing.document, brushState);
+    if (update) updates.push({ _id: drawing.document.id, ...update });
   }
 
-  if (Object.keys(updates).length === 0) return;
+  if (updates.length === 0) return;
 
-  _selectedDrawing.document
-    .update(updates)
+  recordDrawingEdit(scene, updates);
+  scene
+    .updateEmbeddedDocuments("Drawing", updates)
+    .then((drawings) =>
+      Hooks.callAll("brushPalette.drawingEdited", drawings, updates),
+    )
     .catch((err) =>
-      console.warn(`${MODULE_ID} | Failed to update drawing:`, err),
+      console.warn(`${MODULE_ID} | Failed to update drawings:`, err),
     );
 }
 
+/**
+ * Get the palette-managed style of a drawing, in brush fields, e.g. to
+ * find drawings with a certain color.
+ * @param {DrawingDocument} doc
+ * @returns {object}
+ */
+export function getDrawingStyle(doc) {
+  return _getDrawingManagedState(doc);
+}
+
+/**
+ * Give drawings some fields of a brush-shaped style (the brush or a
+ * preset) in one batched update, recorded as one undoable edit. Selected
+ * drawings among them are reloaded into the palette afterwards.
+ * @param {DrawingDocument[]} documents  Drawings of one scene
+ * @param {object} style  Brush fields to take the values from
+ * @param {string[]} fields  Brush fields to apply
+ * @returns {Promise<number>} Number of drawings that changed
+ */
+export async function restyleDrawings(documents, style, fields) {
+  const scene = documents[0]?.parent;
+  if (!scene) return 0;
+
+  const data = validateBrushData(style);
+  const styleState = {
+    ...data,
+    strokeDash: data.strokeStyle === "solid" ? null : data.strokeDash,
+  };
+  const fieldSet = new Set(fields);
+  const updates = [];
+  for (const doc of documents) {
+    const update = _getDrawingUpdate(doc, styleState, fieldSet);
+    if (update) updates.push({ _id: doc.id, ...update });
+  }
+  if (updates.length === 0) return 0;
+
+  // Keep the restyle apart from any palette edit still being grouped
+  closeHistoryGroup();
+  recordDrawingEdit(scene, updates);
+  closeHistoryGroup();
+  const drawings = await scene.updateEmbeddedDocuments("Drawing", updates);
+  Hooks.callAll("brushPalette.drawingEdited", drawings, updates);
+
+  // Show the new style of any restyled drawing being edited in the palette
+  const updatedIds = new Set(updates.map((update) => update._id));
+  if (_selectedDrawings.some((drawing) => updatedIds.has(drawing.id))) {
+    resyncSelectedDrawings();
+  }
+  return updates.length;
+}
+
 /**
  * Reset brush to defaults
  */
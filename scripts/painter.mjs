@@ -0,0 +1,157 @@
+/**
+ * Format painter - copy one drawing's style and paste it onto others
+ *
+ * The copied style is kept in a clipboard of its own, so the brush is left
+ * alone. Pasting applies it to the selected drawings, or to each drawing
+ * clicked while painting. Shift, Ctrl or Alt limit a paste to the stroke,
+ * fill or text fields.
+ */
+
+import { getPalette, getDrawingStyle, restyleDrawings } from "./module.mjs";
+import { getDrawingAt } from "./eyedropper.mjs";
+
+const MODULE_ID = "brush-palette";
+
+// Fields pasted for each part of a style; all of them without a modifier
+const FIELD_GROUPS = {
+  stroke: [
+    "strokeColor",
+    "strokeWidth",
+    "strokeAlpha",
+    "strokeStyle",
+    "bezierFactor",
+  ],
+  fill: ["fillType", "fillColor", "fillAlpha", "texture"],
+  text: ["fontFamily", "fontSize", "textColor", "textAlpha"],
+};
+
+// Copied style in brush fields (including the ADT dash pattern), or null
+let _clipboard = null;
+
+// Whether clicks on drawings paste the copied style
+let _painting = false;
+
+/**
+ * Copy a drawing's full style into the format painter's clipboard.
+ * @param {Drawing} drawing
+ */
+export function copyFormat(drawing) {
+  _clipboard = getDrawingStyle(drawing.document);
+  _refreshPalette();
+}
+
+/**
+ * Whether a style has been copied.
+ */
+export function hasCopiedFormat() {
+  return !!_clipboard;
+}
+
+/**
+ * Paste the copied style onto drawings the user may change, as one
+ * undoable edit. Pasting onto the selected drawings updates the palette
+ * to their new style, so later palette edits start from it.
+ * @param {DrawingDocument[]} documents
+ * @param {"stroke"|"fill"|"text"|null} [group=null]  Only paste these fields
+ * @returns {Promise<number>} Number of drawings that changed
+ */
+export async function pasteFormat(documents, group = null) {
+  if (!_clipboard) return 0;
+  const fields = FIELD_GROUPS[group] ?? Object.values(FIELD_GROUPS).flat();
+  const editable = documents.filter((doc) =>
+    doc.canUserModify(game.user, "update"),
+  );
+  return restyleDrawings(editable, _clipboard, fields);
+}
+
+/**
+ * The fields a modifier key limits a paste to: Shift for the stroke, Ctrl
+ * (or Cmd) for the fill, Alt for the text. Null means the whole style.
+ * @param {KeyboardEvent|PointerEvent} event
+ * @returns {"stroke"|"fill"|"text"|null}
+ */
+export function getPasteGroup(event) {
+  if (event?.shiftKey) return "stroke";
+  if (event?.ctrlKey || event?.metaKey) return "fill";
+  if (event?.altKey) return "text";
+  return null;
+}
+
+/**
+ * Start painting: every click on a drawing pastes the copied style onto it
+ * instead of selecting it, until Escape or a right-click.
+ */
+export function startPainting() {
+  if (!canvas?.ready || !_clipboard) return;
+  if (_painting) stopPainting();
+
+  _painting = true;
+  // Capture phase on window runs before the canvas's own pointer handlers
+  window.addEventListener("pointerdown", _onPointerDown, true);
+  window.addEventListener("keydown", _onKeyDown, true);
+  canvas.app.view.style.cursor = "copy";
+  _refreshPalette();
+}
+
+/**
+ * Stop painting.
+ */
+export function stopPainting() {
+  if (!_painting) return;
+  _painting = false;
+  window.removeEventListener("pointerdown", _onPointerDown, true);
+  window.removeEventListener("keydown", _onKeyDown, true);
+  if (canvas?.app?.view) canvas.app.view.style.cursor = "";
+  _refreshPalette();
+}
+
+/**
+ * Whether clicks on drawings paste the copied style.
+ */
+export function isPainting() {
+  return _painting;
+}
+
+/**
+ * Paste onto the drawing under the pointer. Clicks that miss every drawing
+ * are swallowed too, so a stray click doesn't start a new drawing.
+ */
+function _onPointerDown(event) {
+  if (event.target !== canvas.app?.view) return;
+  if (event.button !== 0) {
+    // Any other button stops painting
+    stopPainting();
+    return;
+  }
+
+  event.preventDefault();
+  event.stopPropagation();
+
+  const point = canvas.canvasCoordinatesFromClient({
+    x: event.clientX,
+    y: event.clientY,
+  });
+  const drawing = getDrawingAt(point);
+  if (!drawing) return;
+  pasteFormat([drawing.document], getPasteGroup(event)).catch((err) =>
+    console.warn(`${MODULE_ID} | Format paste failed:`, err),
+  );
+}
+
+/**
+ * Stop on Escape.
+ */
+function _onKeyDown(event) {
+  if (event.key !== "Escape") return;
+  event.preventDefault();
+  event.stopPropagation();
+  stopPainting();
+}
+
+/**
+ * Update the palette's format painter buttons.
+ */
+function _refreshPalette() {
+  const palette = getPalette();
+  if (palette?.rendered) palette.refreshFormatPainterButtons();
+}
@@ -0,0 +1,169 @@
+/**
+ * Brush preview - renders brush-shaped data (the brush or a preset) as a
+ * small SVG: a sample stroke, a filled shape and a text sample
+ */
+
+import { getDashForStyle } from "./module.mjs";
+import { buildTaperOutline } from "./taper.mjs";
+
+const MODULE_ID = "brush-palette";
+
+// Canvas of the full preview and of preset thumbnails (SVG user units)
+const PREVIEW_SIZE = { width: 200, height: 56 };
+const THUMBNAIL_SIZE = { width: 60, height: 20 };
+
+// Sample stroke through these points, as fractions of the stroke area
+const STROKE_POINTS = [
+  [0, 0.8],
+  [0.33, 0.2],
+  [0.66, 0.8],
+  [1, 0.2],
+];
+
+// Points per zig-zag segment of a tapered sample stroke
+const TAPER_STEPS = 12;
+
+// Unique ids for <pattern> elements; several previews share one document
+let _patternCount = 0;
+
+/**
+ * Render a brush preview as SVG markup.
+ * @param {object} data  Brush fields (the brush or a preset)
+ * @param {object} [options]
+ * @param {boolean} [options.thumbnail=false]  Compact version without text,
+ *                                             for preset rows
+ * @returns {string}
+ */
+export function renderBrushPreview(data, { thumbnail = false } = {}) {
+  const { width, height } = thumbnail ? THUMBNAIL_SIZE : PREVIEW_SIZE;
+  const pad = thumbnail ? 3 : 8;
+  const scale = thumbnail ? 0.25 : 0.5;
+  const esc = Handlebars.escapeExpression;
+
+  const strokeWidth = Math.clamp(Number(data.strokeWidth) || 0, 0, 50) * scale;
+  const strokeAttrs = [
+    `stroke="${esc(data.strokeColor)}"`,
+    `stroke-opacity="${_alpha(data.strokeAlpha)}"`,
+    `stroke-width="${strokeWidth}"`,
+    `stroke-dasharray="${_getDash(data)
+      .map((v) => v * scale)
+      .join(" ")}"`,
+    `stroke-linecap="round"`,
+    `stroke-linejoin="round"`,
+  ].join(" ");
+
+  // Stroke on the left, shape in the middle (or right), text on the right
+  const strokeEnd = thumbnail ? width * 0.55 : width * 0.42;
+  const shapeStart = strokeEnd + pad;
+  const shapeEnd = thumbnail ? width - pad : width * 0.72;
+  const inset = Math.max(pad, strokeWidth / 2);
+
+  const strokeBox = {
+    x: pad + inset,
+    y: inset,
+    w: strokeEnd - 2 * inset - pad,
+    h: height - 2 * inset,
+  };
+  const stroke = data.taper
+    ? `<path d="${_taperPath(strokeBox, data, scale)}" fill="${esc(data.strokeColor)}" fill-opacity="${_alpha(data.strokeAlpha)}"/>`
+    : `<path d="${_strokePath(strokeBox, Number(data.bezierFactor) || 0)}" fill="none" ${strokeAttrs}/>`;
+
+  let defs = "";
+  let fill = "none";
+  const fillType = Number(data.fillType) || 0;
+  if (fillType === 2 && data.texture) {
+    const id = `${MODULE_ID}-texture-${++_patternCount}`;
+    defs = `<defs><pattern id="${id}" patternUnits="userSpaceOnUse" width="${height}" height="${height}"><image href="${esc(data.texture)}" width="${height}" height="${height}" preserveAspectRatio="xMidYMid slice"/></pattern></defs>`;
+    fill = `url(#${id})`;
+  } else if (fillType > 0) {
+    fill = esc(data.fillColor);
+  }
+  const shape = `<rect x="${shapeStart + inset}" y="${inset}" width="${Math.max(0, shapeEnd - shapeStart - 2 * inset)}" height="${Math.max(0, height - 2 * inset)}" rx="${2 * scale}" fill="${fill}" fill-opacity="${_alpha(data.fillAlpha)}" ${strokeAttrs}/>`;
+
+  let text = "";
+  if (!thumbnail) {
+    const fontSize = Math.clamp((Number(data.fontSize) || 48) * scale, 8, 40);
+    text = `<text x="${(shapeEnd + width) / 2}" y="${height / 2}" text-anchor="middle" dominant-baseline="central" font-family="${esc(data.fontFamily || "sans-serif")}" font-size="${fontSize}" fill="${esc(data.textColor)}" fill-opacity="${_alpha(data.textAlpha)}">Aa</text>`;
+  }
+
+  return `<svg viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">${defs}${stroke}${shape}${text}</svg>`;
+}
+
+/**
+ * Get the dash pattern to preview. Presets saved before custom dash
+ * patterns only name their style.
+ */
+function _getDash(data) {
+  if (!game.modules.get("advanced-drawing-tools")?.active) return [];
+  const dash =
+    data.strokeDash !== undefined
+      ? data.strokeDash
+      : getDashForStyle(data.strokeStyle);
+  return dash ?? [];
+}
+
+/**
+ * Build the sample stroke path inside a box. Smoothing bends the zig-zag
+ * into curves the way freehand smoothing does: control points are pulled
+ * along the neighbouring points' direction by the bezier factor.
+ */
+function _strokePath(box, bezierFactor) {
+  const points = STROKE_POINTS.map(([fx, fy]) => [
+    box.x + fx * box.w,
+    box.y + fy * box.h,
+  ]);
+  const f = Math.clamp(bezierFactor, 0, 0.5);
+  const round = (v) => Math.round(v * 10) / 10;
+
+  let d = `M${round(points[0][0])},${round(points[0][1])}`;
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 2] ?? points[i - 1];
+    const [x0, y0] = points[i - 1];
+    const [x1, y1] = points[i];
+    const next = points[i + 1] ?? points[i];
+    const c1 = [x0 + (x1 - prev[0]) * f, y0 + (y1 - prev[1]) * f];
+    const c2 = [x1 - (next[0] - x0) * f, y1 - (next[1] - y0) * f];
+    d += ` C${round(c1[0])},${round(c1[1])} ${round(c2[0])},${round(c2[1])} ${round(x1)},${round(y1)}`;
+  }
+  return d;
+}
+
+/**
+ * Build the sample stroke as a tapered outline. The pointer is taken to
+ * speed up along each segment and slow down into the corners, the way a
+ * quick zig-zag is drawn.
+ */
+function _taperPath(box, data, scale) {
+  const corners = STROKE_POINTS.map(([fx, fy]) => [
+    box.x + fx * box.w,
+    box.y + fy * box.h,
+  ]);
+  const points = [corners[0]];
+  const speeds = [0];
+  for (let i = 1; i < corners.length; i++) {
+    const [x0, y0] = corners[i - 1];
+    const [x1, y1] = corners[i];
+    for (let step = 1; step <= TAPER_STEPS; step++) {
+      const t = step / TAPER_STEPS;
+      points.push([x0 + (x1 - x0) * t, y0 + (y1 - y0) * t]);
+      speeds.push(Math.sin(t * Math.PI));
+    }
+  }
+
+  const outline = buildTaperOutline(points, {
+    speeds,
+    minWidth: (Number(data.taperMinWidth) || 0) * scale,
+    maxWidth: (Number(data.taperMaxWidth) || 0) * scale,
+    taperLength: (Number(data.taperLength) || 0) * scale,
+  });
+  const round = (v) => Math.round(v * 10) / 10;
+  return `M${outline.map(([x, y]) => `${round(x)},${round(y)}`).join(" L")} Z`;
+}
+
+/**
+ * Clamp an opacity value for an SVG attribute.
+ */
+function _alpha(value) {
+  const alpha = Number(value);
+  return Number.isFinite(alpha) ? Math.clamp(alpha, 0, 1) : 1;
+}
@@ -0,0 +1,303 @@
+/**
+ * Radial quick-pick menu - a pie menu at the cursor with favorite presets
+ * on the inner ring and the current swatches on the outer ring. Opens with
+ * a held key or a middle-click on the drawings layer; releasing over a
+ * wedge picks it, a quick tap leaves the menu open for a click.
+ */
+
+import {
+  updateBrush,
+  applyPreset,
+  getPresets,
+  getSwatches,
+  addRecentColor,
+  getFavoritePresetIds,
+} from "./module.mjs";
+
+const MODULE_ID = "brush-palette";
+
+// Most wedges per ring
+const MAX_PRESETS = 8;
+const MAX_SWATCHES = 16;
+
+// Ring radii in pixels; the outer ring also catches a little beyond its edge
+const CENTER_RADIUS = 30;
+const PRESET_RING = { inner: 34, outer: 92 };
+const SWATCH_RING = { inner: 96, outer: 128, reach: 160 };
+
+// Longest preset name drawn on a wedge; the full name shows in the center
+const LABEL_LENGTH = 10;
+
+// Open menu: { element, center, wedges, hovered }
+let _menu = null;
+
+// Last known pointer position, where the keybinding opens the menu
+const _pointer = { x: 0, y: 0 };
+
+/**
+ * Start tracking the pointer and listening for middle-clicks. Must be
+ * called once, during "init".
+ */
+export function registerRadialMenu() {
+  window.addEventListener("pointermove", _onPointerMove, { passive: true });
+  window.addEventListener("pointerdown", _onPointerDown, true);
+  window.addEventListener("pointerup", _onPointerUp, true);
+}
+
+/**
+ * Whether the menu is open.
+ */
+export function isRadialMenuOpen() {
+  return !!_menu;
+}
+
+/**
+ * Open the menu centered on a point (the pointer by default), kept inside
+ * the viewport.
+ * @param {number} [x]
+ * @param {number} [y]
+ */
+export function openRadialMenu(x = _pointer.x, y = _pointer.y) {
+  closeRadialMenu();
+
+  const presets = _getMenuPresets().map((preset) => ({
+    kind: "preset",
+    preset,
+    label: preset.name,
+  }));
+  const swatches = getSwatches()
+    .slice(0, MAX_SWATCHES)
+    .map((hex) => ({ kind: "swatch", hex, label: hex }));
+  if (!presets.length && !swatches.length) return;
+
+  const margin = SWATCH_RING.outer + 4;
+  const center = {
+    x: Math.clamp(x, margin, window.innerWidth - margin),
+    y: Math.clamp(y, margin, window.innerHeight - margin),
+  };
+
+  const wedges = [
+    ..._layoutRing(presets, PRESET_RING),
+    ..._layoutRing(swatches, SWATCH_RING),
+  ];
+
+  const element = document.createElement("div");
+  element.className = `${MODULE_ID}-radial`;
+  element.setAttribute("role", "menu");
+  element.innerHTML = _renderMenu(center, wedges);
+  document.body.append(element);
+  window.addEventListener("keydown", _onKeyDown, true);
+
+  _menu = { element, center, wedges, hovered: null };
+  _setHovered(_hitTest(_pointer.x, _pointer.y));
+}
+
+/**
+ * Close the menu without picking anything.
+ */
+export function closeRadialMenu() {
+  if (!_menu) return;
+  _menu.element.remove();
+  _menu = null;
+  window.removeEventListener("keydown", _onKeyDown, true);
+}
+
+/**
+ * End a press-and-hold: pick the wedge under the pointer, if any. With
+ * none, the menu stays open to be clicked.
+ * @param {object} [options]
+ * @param {boolean} [options.shiftKey=false]  Apply a swatch to the fill
+ */
+export function releaseRadialMenu({ shiftKey = false } = {}) {
+  if (_menu?.hovered) _pick(_menu.hovered, { shiftKey });
+}
+
+/**
+ * Presets for the inner ring: the favorites, or the first presets when
+ * none are marked. Shared presets come first, as in the palette.
+ */
+function _getMenuPresets() {
+  const presets = [...getPresets("shared"), ...getPresets("personal")];
+  const favorites = new Set(getFavoritePresetIds());
+  const marked = presets.filter((preset) => favorites.has(preset.id));
+  return (marked.length ? marked : presets).slice(0, MAX_PRESETS);
+}
+
+/**
+ * Spread items evenly around a ring, starting at the top, clockwise.
+ */
+function _layoutRing(items, ring) {
+  const span = (2 * Math.PI) / items.length;
+  return items.map((item, index) => ({
+    ...item,
+    ring,
+    start: index * span,
+    end: (index + 1) * span,
+  }));
+}
+
+/**
+ * Build the menu markup: one SVG path per wedge, and a center label.
+ */
+function _renderMenu(center, wedges) {
+  const esc = Handlebars.escapeExpression;
+  const size = SWATCH_RING.outer * 2 + 8;
+  const half = size / 2;
+
+  const paths = wedges
+    .map((wedge, index) => {
+      const d = _wedgePath(half, wedge);
+      if (wedge.kind === "swatch") {
+        return `<path class="radial-wedge swatch" data-index="${index}" d="${d}" fill="${esc(wedge.hex)}"><title>${esc(wedge.hex)}</title></path>`;
+      }
+      const mid = (wedge.start + wedge.end) / 2;
+      const radius = (wedge.ring.inner + wedge.ring.outer) / 2;
+      const [tx, ty] = _polar(half, radius, mid);
+      const label =
+        wedge.label.length > LABEL_LENGTH
+          ? `${wedge.label.slice(0, LABEL_LENGTH - 1)}…`
+          : wedge.label;
+      return `<path class="radial-wedge preset" data-index="${index}" d="${d}"><title>${esc(wedge.label)}</title></path>
+        <text x="${tx}" y="${ty}" text-anchor="middle" dominant-baseline="central">${esc(label)}</text>`;
+    })
+    .join("");
+
+  return `
+    <svg class="radial-menu" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}"
+         style="left: ${center.x - half}px; top: ${center.y - half}px" aria-hidden="true">
+      ${paths}
+      <circle class="radial-center" cx="${half}" cy="${half}" r="${CENTER_RADIUS}"/>
+    </svg>
+    <div class="radial-label" style="left: ${center.x}px; top: ${center.y}px"></div>`;
+}
+
+/**
+ * SVG path of an annular sector. Angles are radians clockwise from the top.
+ */
+function _wedgePath(half, { ring, start, end }) {
+  // A full circle can't be drawn as one arc
+  if (end - start >= 2 * Math.PI - 1e-6) end = start + 2 * Math.PI - 1e-3;
+  const large = end - start > Math.PI ? 1 : 0;
+  const round = (v) => Math.round(v * 10) / 10;
+  const [x1, y1] = _polar(half, ring.outer, start).map(round);
+  const [x2, y2] = _polar(half, ring.outer, end).map(round);
+  const [x3, y3] = _polar(half, ring.inner, end).map(round);
+  const [x4, y4] = _polar(half, ring.inner, start).map(round);
+  return `M${x1},${y1} A${ring.outer},${ring.outer} 0 ${large} 1 ${x2},${y2} L${x3},${y3} A${ring.inner},${ring.inner} 0 ${large} 0 ${x4},${y4} Z`;
+}
+
+/**
+ * Point at a radius and angle (clockwise from the top) around a center.
+ */
+function _polar(center, radius, angle) {
+  return [center + radius * Math.sin(angle), center - radius * Math.cos(angle)];
+}
+
+/**
+ * Find the wedge at a screen position.
+ */
+function _hitTest(x, y) {
+  if (!_menu) return null;
+  const dx = x - _menu.center.x;
+  const dy = y - _menu.center.y;
+  const radius = Math.hypot(dx, dy);
+  if (radius < CENTER_RADIUS) return null;
+  const angle = (Math.atan2(dx, -dy) + 2 * Math.PI) % (2 * Math.PI);
+  return (
+    _menu.wedges.find(
+      ({ ring, start, end }) =>
+        radius >= ring.inner &&
+        radius <= (ring.reach ?? ring.outer) &&
+        angle >= start &&
+        angle < end,
+    ) ?? null
+  );
+}
+
+/**
+ * Highlight a wedge and show its name in the center.
+ */
+function _setHovered(wedge) {
+  if (!_menu || _menu.hovered === wedge) return;
+  _menu.hovered = wedge;
+  const index = _menu.wedges.indexOf(wedge);
+  _menu.element.querySelectorAll(".radial-wedge").forEach((path) => {
+    path.classList.toggle("hovered", Number(path.dataset.index) === index);
+  });
+  const label = _menu.element.querySelector(".radial-label");
+  label.textContent = wedge?.label ?? "";
+}
+
+/**
+ * Apply a wedge and close the menu: a preset loads like the palette's
+ * preset buttons, a swatch sets the stroke color (the fill with Shift)
+ * like the palette's swatches.
+ */
+function _pick(wedge, { shiftKey = false } = {}) {
+  closeRadialMenu();
+  if (wedge.kind === "preset") {
+    applyPreset(wedge.preset);
+  } else if (shiftKey) {
+    updateBrush({ fillColor: wedge.hex });
+    addRecentColor("fill", wedge.hex);
+  } else {
+    updateBrush({ strokeColor: wedge.hex });
+    addRecentColor("stroke", wedge.hex);
+  }
+}
+
+/**
+ * Whether the drawing tools are the active scene controls.
+ */
+function _isDrawingsActive() {
+  return ui.controls?.control?.name === "drawings";
+}
+
+/**
+ * Remember the pointer position and follow it while the menu is open.
+ */
+function _onPointerMove(event) {
+  _pointer.x = event.clientX;
+  _pointer.y = event.clientY;
+  if (_menu) _setHovered(_hitTest(event.clientX, event.clientY));
+}
+
+/**
+ * Middle-click on the drawings layer opens the menu. While it is open,
+ * every click goes to the menu: a wedge is picked, anywhere else closes it.
+ */
+function _onPointerDown(event) {
+  if (_menu) {
+    event.preventDefault();
+    event.stopPropagation();
+    const wedge = _hitTest(event.clientX, event.clientY);
+    if (event.button === 0 && wedge) _pick(wedge, event);
+    else if (event.button !== 1) closeRadialMenu();
+    return;
+  }
+  if (event.button !== 1 || !_isDrawingsActive()) return;
+  if (event.target !== canvas?.app?.view) return;
+  event.preventDefault();
+  event.stopPropagation();
+  openRadialMenu(event.clientX, event.clientY);
+}
+
+/**
+ * Releasing the middle button over a wedge picks it.
+ */
+function _onPointerUp(event) {
+  if (!_menu || event.button !== 1) return;
+  event.preventDefault();
+  event.stopPropagation();
+  releaseRadialMenu(event);
+}
+
+/**
+ * Escape closes the menu.
+ */
+function _onKeyDown(event) {
+  if (event.key !== "Escape") return;
+  event.preventDefault();
+  event.stopPropagation();
+  closeRadialMenu();
+}
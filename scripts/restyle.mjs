@@ -0,0 +1,332 @@
+/**
+ * Scene restyle - finds the viewed scene's drawings by author, color,
+ * stroke style, text or fill type, highlights them on the canvas and gives
+ * them chosen fields of the brush or a preset in one batched update
+ */
+
+import {
+  brush,
+  getPresets,
+  getDashStyles,
+  getDrawingStyle,
+  getDrawingBrush,
+  restyleDrawings,
+} from "./module.mjs";
+
+// Fields that can be applied, grouped like the palette sections
+const FIELD_GROUPS = [
+  {
+    label: "BRUSH_PALETTE.Lines",
+    fields: {
+      strokeColor: "BRUSH_PALETTE.LineColor",
+      strokeWidth: "BRUSH_PALETTE.LineWidth",
+      strokeAlpha: "BRUSH_PALETTE.LineOpacity",
+      strokeStyle: "BRUSH_PALETTE.Style",
+      bezierFactor: "BRUSH_PALETTE.Smoothing",
+    },
+  },
+  {
+    label: "BRUSH_PALETTE.Fill",
+    fields: {
+      fillType: "BRUSH_PALETTE.FillType",
+      fillColor: "BRUSH_PALETTE.FillColor",
+      fillAlpha: "BRUSH_PALETTE.Opacity",
+      texture: "BRUSH_PALETTE.FillTexture",
+    },
+  },
+  {
+    label: "BRUSH_PALETTE.Text",
+    fields: {
+      fontFamily: "BRUSH_PALETTE.TextFontFamily",
+      fontSize: "BRUSH_PALETTE.TextFontSize",
+      textColor: "BRUSH_PALETTE.TextColor",
+      textAlpha: "BRUSH_PALETTE.Opacity",
+    },
+  },
+];
+
+// Fields ticked when the dialog opens
+const DEFAULT_FIELDS = new Set(["strokeColor", "strokeWidth", "strokeAlpha"]);
+
+// Outline drawn around matching drawings (screen pixels)
+const HIGHLIGHT_COLOR = 0xff8800;
+const HIGHLIGHT_WIDTH = 3;
+const HIGHLIGHT_PADDING = 6;
+
+/**
+ * Open the restyle dialog for the viewed scene.
+ */
+export async function openRestyleDialog() {
+  const scene = canvas?.scene;
+  if (!scene) return;
+
+  const highlight = new PIXI.Graphics();
+  canvas.controls.addChild(highlight);
+
+  let result;
+  try {
+    result = await foundry.applications.api.DialogV2.wait({
+      window: { title: game.i18n.localize("BRUSH_PALETTE.RestyleTitle") },
+      classes: ["brush-palette-restyle"],
+      position: { width: 400 },
+      content: _renderContent(scene),
+      render: (event, dialog) =>
+        _activateDialog(dialog.element ?? dialog, scene, highlight),
+      buttons: [
+        {
+          action: "apply",
+          label: "BRUSH_PALETTE.RestyleApply",
+          icon: "fas fa-paintbrush",
+          default: true,
+          callback: (event, button) => {
+            const form = button.form;
+            return {
+              documents: _findDrawings(scene, _readFilter(form)),
+              style: _readStyle(form),
+              fields: [...form.querySelectorAll('[name="fields"]:checked')].map(
+                (input) => input.value,
+              ),
+            };
+          },
+        },
+        { action: "cancel", label: "Cancel", icon: "fas fa-times" },
+      ],
+      rejectClose: false,
+    });
+  } finally {
+    highlight.destroy();
+  }
+
+  // Cancel resolves to its action name rather than a result object
+  if (!result?.documents?.length || !result.fields.length) return;
+  const count = await restyleDrawings(
+    result.documents,
+    result.style,
+    result.fields,
+  );
+  ui.notifications.info(
+    game.i18n.format("BRUSH_PALETTE.RestyleDone", { count }),
+  );
+}
+
+/**
+ * Build the dialog form: filters, a match count, the style source and the
+ * fields to apply.
+ */
+function _renderContent(scene) {
+  const esc = Handlebars.escapeExpression;
+  const localize = (key) => game.i18n.localize(key);
+  const adtActive = !!game.modules.get("advanced-drawing-tools")?.active;
+
+  const authors = new Map();
+  for (const doc of scene.drawings) {
+    if (doc.author) authors.set(doc.author.id, doc.author.name);
+  }
+  const authorOptions = [...authors]
+    .sort(([, a], [, b]) => a.localeCompare(b))
+    .map(([id, name]) => `<option value="${id}">${esc(name)}</option>`)
+    .join("");
+
+  const styleOptions = [
+    ...getDashStyles(),
+    { id: "custom", name: localize("BRUSH_PALETTE.StrokeCustom") },
+  ]
+    .map(
+      (style) => `<option value="${esc(style.id)}">${esc(style.name)}</option>`,
+    )
+    .join("");
+
+  const fillTypeOptions = [
+    "BRUSH_PALETTE.FillNone",
+    "BRUSH_PALETTE.FillSolid",
+    "BRUSH_PALETTE.FillPattern",
+  ]
+    .map(
+      (label, value) => `<option value="${value}">${localize(label)}</option>`,
+    )
+    .join("");
+
+  const presetOptions = ["shared", "personal"]
+    .flatMap((source) =>
+      getPresets(source).map(
+        (preset) =>
+          `<option value="${source}:${esc(preset.id)}">${esc(preset.name)}</option>`,
+      ),
+    )
+    .join("");
+
+  const fieldGroups = FIELD_GROUPS.map(({ label, fields }) => {
+    const checkboxes = Object.entries(fields)
+      .filter(([field]) => adtActive || field !== "strokeStyle")
+      .map(
+        ([field, fieldLabel]) =>
+          `<label class="checkbox"><input type="checkbox" name="fields" value="${field}"${DEFAULT_FIELDS.has(field) ? " checked" : ""}> ${localize(fieldLabel)}</label>`,
+      )
+      .join("");
+    return `<fieldset><legend>${localize(label)}</legend><div class="restyle-fields">${checkboxes}</div></fieldset>`;
+  }).join("");
+
+  const any = `<option value="">${localize("BRUSH_PALETTE.RestyleAny")}</option>`;
+  return `
+    <fieldset>
+      <legend>${localize("BRUSH_PALETTE.RestyleMatch")}</legend>
+      <div class="form-group">
+        <label>${localize("BRUSH_PALETTE.RestyleAuthor")}</label>
+        <div class="form-fields"><select name="author">${any}${authorOptions}</select></div>
+      </div>
+      <div class="form-group">
+        <label>${localize("BRUSH_PALETTE.LineColor")}</label>
+        <div class="form-fields">
+          <input type="checkbox" name="matchStrokeColor" aria-label="${localize("BRUSH_PALETTE.RestyleMatchColor")}">
+          <input type="color" name="strokeColor" value="${brush.strokeColor}">
+        </div>
+      </div>
+      <div class="form-group">
+        <label>${localize("BRUSH_PALETTE.FillColor")}</label>
+        <div class="form-fields">
+          <input type="checkbox" name="matchFillColor" aria-label="${localize("BRUSH_PALETTE.RestyleMatchColor")}">
+          <input type="color" name="fillColor" value="${brush.fillColor}">
+        </div>
+      </div>
+      ${
+        adtActive
+          ? `<div class="form-group">
+        <label>${localize("BRUSH_PALETTE.Style")}</label>
+        <div class="form-fields"><select name="strokeStyle">${any}${styleOptions}</select></div>
+      </div>`
+          : ""
+      }
+      <div class="form-group">
+        <label>${localize("BRUSH_PALETTE.FillType")}</label>
+        <div class="form-fields"><select name="fillType">${any}${fillTypeOptions}</select></div>
+      </div>
+      <div class="form-group">
+        <label>${localize("BRUSH_PALETTE.TextLabel")}</label>
+        <div class="form-fields">
+          <input type="text" name="text" placeholder="${localize("BRUSH_PALETTE.RestyleTextPlaceholder")}">
+        </div>
+      </div>
+      <p class="restyle-count" aria-live="polite"></p>
+    </fieldset>
+    <div class="form-group">
+      <label>${localize("BRUSH_PALETTE.RestyleSource")}</label>
+      <div class="form-fields">
+        <select name="source">
+          <option value="brush">${localize("BRUSH_PALETTE.RestyleSourceBrush")}</option>
+          ${presetOptions}
+        </select>
+      </div>
+    </div>
+    ${fieldGroups}`;
+}
+
+/**
+ * Wire up the dialog: every filter change recounts and re-highlights the
+ * matching drawings, and picking a color turns its filter on.
+ */
+function _activateDialog(html, scene, highlight) {
+  const form = html.querySelector("form") ?? html;
+  const count = html.querySelector(".restyle-count");
+  const apply = html.querySelector('[data-action="apply"]');
+
+  const update = () => {
+    const documents = _findDrawings(scene, _readFilter(form));
+    count.textContent = game.i18n.format("BRUSH_PALETTE.RestyleCount", {
+      count: documents.length,
+    });
+    if (apply) apply.disabled = !documents.length;
+    _drawHighlight(highlight, documents);
+  };
+
+  form.addEventListener("input", (event) => {
+    const { name } = event.target;
+    if (name === "strokeColor") form.elements.matchStrokeColor.checked = true;
+    if (name === "fillColor") form.elements.matchFillColor.checked = true;
+    update();
+  });
+  form.addEventListener("change", update);
+  update();
+}
+
+/**
+ * Read the filters from the form; unset filters are null.
+ */
+function _readFilter(form) {
+  const { elements } = form;
+  return {
+    author: elements.author.value || null,
+    strokeColor: elements.matchStrokeColor.checked
+      ? elements.strokeColor.value.toLowerCase()
+      : null,
+    fillColor: elements.matchFillColor.checked
+      ? elements.fillColor.value.toLowerCase()
+      : null,
+    strokeStyle: elements.strokeStyle?.value || null,
+    fillType:
+      elements.fillType.value === "" ? null : Number(elements.fillType.value),
+    text: elements.text.value.trim().toLowerCase() || null,
+  };
+}
+
+/**
+ * The style chosen as the source: the brush or a preset.
+ */
+function _readStyle(form) {
+  const [source, id] = form.elements.source.value.split(":");
+  // While drawings are selected the brush shows their style; use the brush
+  // for new drawings instead
+  const drawingBrush = { ...getDrawingBrush() };
+  if (source === "brush") return drawingBrush;
+  return getPresets(source).find((preset) => preset.id === id) ?? drawingBrush;
+}
+
+/**
+ * Find the scene's drawings that match every set filter and that the user
+ * may change. A fill color only matches drawings that are filled.
+ */
+function _findDrawings(scene, filter) {
+  return scene.drawings.filter((doc) => {
+    if (!doc.canUserModify(game.user, "update")) return false;
+    if (filter.author && doc.author?.id !== filter.author) return false;
+    const style = getDrawingStyle(doc);
+    if (filter.strokeColor && style.strokeColor !== filter.strokeColor) {
+      return false;
+    }
+    if (
+      filter.fillColor &&
+      (style.fillType === 0 || style.fillColor !== filter.fillColor)
+    ) {
+      return false;
+    }
+    if (filter.strokeStyle && style.strokeStyle !== filter.strokeStyle) {
+      return false;
+    }
+    if (filter.fillType !== null && style.fillType !== filter.fillType) {
+      return false;
+    }
+    if (filter.text && !style.text.toLowerCase().includes(filter.text)) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Outline the matching drawings on the canvas.
+ */
+function _drawHighlight(highlight, documents) {
+  highlight.clear();
+  const scale = canvas.stage.scale.x || 1;
+  highlight.lineStyle(HIGHLIGHT_WIDTH / scale, HIGHLIGHT_COLOR, 1);
+  const padding = HIGHLIGHT_PADDING / scale;
+  for (const doc of documents) {
+    const bounds = doc.object?.bounds;
+    if (!bounds) continue;
+    highlight.drawRect(
+      bounds.x - padding,
+      bounds.y - padding,
+      bounds.width + 2 * padding,
+      bounds.height + 2 * padding,
+    );
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * Tapered freehand strokes - records the pointer speed while a freehand
+ * line is drawn and turns the finished line into a filled outline whose
+ * width follows that speed: thin where the pointer moved fast, thick where
+ * it moved slowly, narrowing to a point at both ends.
+ */
+
+import { brush } from "./module.mjs";
+
+const MODULE_ID = "brush-palette";
+
+// Pointer speed (screen pixels per millisecond) drawn at the minimum width
+const FAST_SPEED = 2.5;
+
+// Weight of each new speed sample in the running average, so single
+// jittery samples don't make the width flicker
+const SPEED_SMOOTHING = 0.3;
+
+// Freehand line being drawn: { preview, samples: [{ x, y, time, speed }],
+// dropped }. `dropped` is set once the drag ends and the line is created.
+let _stroke = null;
+
+/**
+ * Record pointer samples while freehand lines are drawn. Must be called
+ * once, during "ready".
+ */
+export function registerTaperedStrokes() {
+  libWrapper.register(
+    MODULE_ID,
+    "foundry.canvas.layers.DrawingsLayer.prototype._onDragLeftMove",
+    function (wrapped, event) {
+      const result = wrapped(event);
+      if (brush.taper && game.activeTool === "freehand") _recordSample(event);
+      return result;
+    },
+    "WRAPPER",
+  );
+
+  // Only the drawing created by dropping the recorded line is tapered
+  libWrapper.register(
+    MODULE_ID,
+    "foundry.canvas.layers.DrawingsLayer.prototype._onDragLeftDrop",
+    function (wrapped, event) {
+      if (_stroke && event.interactionData?.preview === _stroke.preview) {
+        _stroke.dropped = true;
+      } else {
+        _stroke = null;
+      }
+      return wrapped(event);
+    },
+    "WRAPPER",
+  );
+
+  libWrapper.register(
+    MODULE_ID,
+    "foundry.canvas.layers.DrawingsLayer.prototype._onDragLeftCancel",
+    function (wrapped, event) {
+      _stroke = null;
+      return wrapped(event);
+    },
+    "WRAPPER",
+  );
+}
+
+/**
+ * Turn a freehand drawing about to be created into a tapered outline when
+ * the brush is in taper mode. The outline is filled with the stroke color
+ * and has no stroke of its own. Drawings that weren't just drawn by hand
+ * (pasted, duplicated or created by a macro) are left as they are.
+ * @param {DrawingDocument} document  The document from "preCreateDrawing"
+ */
+export function applyStrokeTaper(document) {
+  const stroke = _stroke;
+  _stroke = null;
+  if (!brush.taper || !stroke?.dropped || document.shape?.type !== "p") {
+    return;
+  }
+
+  const flat = document.shape.points ?? [];
+  const points = [];
+  for (let i = 0; i + 1 < flat.length; i += 2) {
+    const point = [document.x + flat[i], document.y + flat[i + 1]];
+    const last = points.at(-1);
+    if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+      points.push(point);
+    }
+  }
+  if (points.length < 2) return;
+
+  const outline = buildTaperOutline(points, {
+    speeds: _getPointSpeeds(points, stroke.samples),
+    minWidth: brush.taperMinWidth,
+    maxWidth: brush.taperMaxWidth,
+    taperLength: brush.taperLength,
+  });
+
+  const xs = outline.map(([x]) => x);
+  const ys = outline.map(([, y]) => y);
+  const left = Math.min(...xs);
+  const top = Math.min(...ys);
+  const round = (v) => Math.round(v * 10) / 10;
+  document.updateSource({
+    x: round(left),
+    y: round(top),
+    shape: {
+      type: "p",
+      width: round(Math.max(...xs) - left),
+      height: round(Math.max(...ys) - top),
+      points: outline.flatMap(([x, y]) => [round(x - left), round(y - top)]),
+    },
+    strokeWidth: 0,
+    fillType: CONST.DRAWING_FILL_TYPES.SOLID,
+    fillColor: document._source.strokeColor,
+    fillAlpha: document._source.strokeAlpha,
+  });
+}
+
+/**
+ * Build the outline of a variable-width line: one side of the line from
+ * start to end, then the other side back.
+ * @param {number[][]} points  [x, y] points along the line
+ * @param {object} options
+ * @param {number[]} [options.speeds]  How fast the pointer moved at each
+ *                                     point, from 0 (still) to 1 (fast);
+ *                                     all still when omitted
+ * @param {number} options.minWidth  Width at full speed
+ * @param {number} options.maxWidth  Width when the pointer is still
+ * @param {number} options.taperLength  Length of the narrowing at each end
+ * @returns {number[][]} [x, y] outline points
+ */
+export function buildTaperOutline(
+  points,
+  { speeds, minWidth, maxWidth, taperLength },
+) {
+  const thin = Math.min(minWidth, maxWidth);
+  const thick = Math.max(minWidth, maxWidth);
+
+  // Distance along the line to each point
+  const distances = [0];
+  for (let i = 1; i < points.length; i++) {
+    const [x0, y0] = points[i - 1];
+    const [x1, y1] = points[i];
+    distances.push(distances[i - 1] + Math.hypot(x1 - x0, y1 - y0));
+  }
+  const total = distances.at(-1);
+
+  const sides = points.map(([x, y], i) => {
+    const speed = Math.clamp(speeds?.[i] ?? 0, 0, 1);
+    let width = thick - (thick - thin) * speed;
+    if (taperLength > 0) {
+      const fromEnd = Math.min(distances[i], total - distances[i]);
+      const t = Math.clamp(fromEnd / taperLength, 0, 1);
+      width *= Math.sin((t * Math.PI) / 2);
+    }
+
+    // Offset across the direction of travel at this point
+    const [px, py] = points[i - 1] ?? points[i];
+    const [nx, ny] = points[i + 1] ?? points[i];
+    const length = Math.hypot(nx - px, ny - py) || 1;
+    const ox = (-(ny - py) / length) * (width / 2);
+    const oy = ((nx - px) / length) * (width / 2);
+    return [
+      [x + ox, y + oy],
+      [x - ox, y - oy],
+    ];
+  });
+
+  return [
+    ...sides.map(([side]) => side),
+    ...sides.map(([, side]) => side).reverse(),
+  ];
+}
+
+/**
+ * Remember where the pointer is and how fast it is moving.
+ */
+function _recordSample(event) {
+  const { preview, destination } = event.interactionData ?? {};
+  if (!preview) return;
+  const { x, y } = destination ?? canvas.mousePosition;
+  if (preview !== _stroke?.preview) _stroke = { preview, samples: [] };
+
+  const time = performance.now();
+  const last = _stroke.samples.at(-1);
+  let speed = 0;
+  if (last) {
+    const elapsed = time - last.time;
+    if (elapsed <= 0) return;
+    // Screen speed, so the same hand movement tapers alike at any zoom
+    const distance = Math.hypot(x - last.x, y - last.y) * canvas.stage.scale.x;
+    speed = last.speed + (distance / elapsed - last.speed) * SPEED_SMOOTHING;
+  }
+  _stroke.samples.push({ x, y, time, speed });
+}
+
+/**
+ * Match each point of the finished line to the nearest recorded sample,
+ * walking forward along the samples, and take its speed as a fraction of
+ * a fast stroke.
+ */
+function _getPointSpeeds(points, samples) {
+  if (!samples.length) return points.map(() => 0);
+  let index = 0;
+  return points.map(([x, y]) => {
+    const distance = (sample) => (sample.x - x) ** 2 + (sample.y - y) ** 2;
+    while (
+      index < samples.length - 1 &&
+      distance(samples[index + 1]) <= distance(samples[index])
+    ) {
+      index++;
+    }
+    return samples[index].speed / FAST_SPEED;
+  });
+}
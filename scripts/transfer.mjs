@@ -0,0 +1,264 @@
+/**
+ * Import / export of presets and swatch palettes as JSON files
+ */
+
+import {
+  getPresets,
+  savePresets,
+  getPalette,
+  validateBrushData,
+  getSwatchSets,
+  getSwatchThemes,
+} from "./module.mjs";
+
+const MODULE_ID = "brush-palette";
+
+// Version of the exported document format
+// 1: single custom "swatches" list; 2: named "swatchSets"
+const TRANSFER_VERSION = 2;
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Download the user's presets, swatch sets and swatch theme as a JSON file.
+ */
+export function exportPaletteData() {
+  const data = {
+    module: MODULE_ID,
+    version: TRANSFER_VERSION,
+    exported: new Date().toISOString(),
+    presets: getPresets("personal"),
+    swatchSets: getSwatchSets(),
+    swatchTheme: game.settings.get(MODULE_ID, "swatchTheme"),
+  };
+
+  const save = foundry.utils.saveDataToFile ?? saveDataToFile;
+  save(
+    JSON.stringify(data, null, 2),
+    "application/json",
+    `${MODULE_ID}-presets.json`,
+  );
+}
+
+/**
+ * Ask the user for a JSON file and import it. Merging adds the presets and
+ * swatch sets to the current ones; replacing swaps out the presets and the
+ * swatch sets, but only the ones the file contains.
+ */
+export async function importPaletteData() {
+  const choice = await foundry.applications.api.DialogV2.wait({
+    window: { title: game.i18n.localize("BRUSH_PALETTE.ImportTitle") },
+    content: `
+      <div class="form-group">
+        <label>${game.i18n.localize("BRUSH_PALETTE.ImportFile")}</label>
+        <div class="form-fields">
+          <input type="file" name="file" accept=".json,application/json">
+        </div>
+      </div>
+      <div class="form-group">
+        <label>${game.i18n.localize("BRUSH_PALETTE.ImportMode")}</label>
+        <div class="form-fields">
+          <select name="mode">
+            <option value="merge">${game.i18n.localize("BRUSH_PALETTE.ImportMerge")}</option>
+            <option value="replace">${game.i18n.localize("BRUSH_PALETTE.ImportReplace")}</option>
+          </select>
+        </div>
+        <p class="hint">${game.i18n.localize("BRUSH_PALETTE.ImportModeHint")}</p>
+      </div>`,
+    buttons: [
+      {
+        action: "import",
+        label: "BRUSH_PALETTE.Import",
+        icon: "fas fa-file-import",
+        default: true,
+        callback: (event, button) => ({
+          file: button.form.elements.file.files[0],
+          mode: button.form.elements.mode.value,
+        }),
+      },
+      { action: "cancel", label: "Cancel", icon: "fas fa-times" },
+    ],
+    rejectClose: false,
+  });
+  if (!choice?.file) return;
+
+  let data;
+  try {
+    const readText = foundry.utils.readTextFromFile ?? readTextFromFile;
+    data = JSON.parse(await readText(choice.file));
+  } catch (err) {
+    console.warn(`${MODULE_ID} | Could not read import file:`, err);
+    ui.notifications.error(game.i18n.localize("BRUSH_PALETTE.ImportInvalid"));
+    return;
+  }
+
+  const parsed = _parseImportData(data);
+  if (!parsed) {
+    ui.notifications.error(game.i18n.localize("BRUSH_PALETTE.ImportInvalid"));
+    return;
+  }
+
+  // A section the file doesn't have is left alone, even when replacing
+  if (parsed.presets.length) {
+    const presets = await _combinePresets(parsed.presets, choice.mode);
+    if (!presets) return; // Cancelled at the name-collision prompt
+    await savePresets(presets, "personal");
+  }
+  if (parsed.swatchSets.length) {
+    // When merging, sets with the same id are replaced, others added
+    const ids = new Set(parsed.swatchSets.map((set) => set.id));
+    const kept =
+      choice.mode === "replace"
+        ? []
+        : getSwatchSets().filter((set) => !ids.has(set.id));
+    await game.settings.set(MODULE_ID, "swatchSets", [
+      ...kept,
+      ...parsed.swatchSets,
+    ]);
+  }
+  if (parsed.swatchTheme) {
+    await game.settings.set(MODULE_ID, "swatchTheme", parsed.swatchTheme);
+  }
+
+  ui.notifications.info(
+    game.i18n.format("BRUSH_PALETTE.ImportSuccess", {
+      count: parsed.presets.length,
+      skipped: parsed.skipped,
+    }),
+  );
+
+  const palette = getPalette();
+  if (palette?.rendered) palette.render();
+}
+
+/**
+ * Validate an imported document. Returns null when it is not a palette
+ * export at all; otherwise the usable presets, swatch sets and theme, with
+ * invalid entries dropped and preset fields coerced like the brush.
+ */
+function _parseImportData(data) {
+  if (!data || typeof data !== "object") return null;
+  if (data.module !== undefined && data.module !== MODULE_ID) return null;
+  if (Number(data.version) > TRANSFER_VERSION) {
+    console.warn(
+      `${MODULE_ID} | Import file version ${data.version} is newer than supported (${TRANSFER_VERSION}).`,
+    );
+  }
+
+  const rawPresets = Array.isArray(data.presets) ? data.presets : [];
+  const presets = [];
+  for (const preset of rawPresets) {
+    const name = typeof preset?.name === "string" ? preset.name.trim() : "";
+    if (!name) continue;
+    const category =
+      typeof preset.category === "string" ? preset.category.trim() : "";
+    // Keep the id so favorites still find the preset; savePresets gives a
+    // new one to ids already in use
+    const entry = { name, category, ...validateBrushData(preset) };
+    if (typeof preset.id === "string" && preset.id) entry.id = preset.id;
+    presets.push(entry);
+  }
+
+  const swatchSets = [];
+  for (const set of Array.isArray(data.swatchSets) ? data.swatchSets : []) {
+    const name = typeof set?.name === "string" ? set.name.trim() : "";
+    const colors = _parseColors(set?.colors);
+    if (!name || !colors) continue;
+    const id =
+      typeof set.id === "string" && set.id ? set.id : foundry.utils.randomID();
+    swatchSets.push({ id, name, colors });
+  }
+
+  // Version 1 files have one unnamed custom list, used by the "custom" theme
+  let themeId = data.swatchTheme;
+  const legacyColors = _parseColors(data.swatches);
+  if (legacyColors) {
+    const id = foundry.utils.randomID();
+    const name = game.i18n.localize("BRUSH_PALETTE.ThemeCustom");
+    swatchSets.push({ id, name, colors: legacyColors });
+    if (themeId === "custom") themeId = id;
+  }
+
+  const themeIds = new Set([
+    ...getSwatchThemes().map((theme) => theme.id),
+    ...swatchSets.map((set) => set.id),
+  ]);
+  const swatchTheme =
+    typeof themeId === "string" && themeIds.has(themeId) ? themeId : null;
+
+  if (!presets.length && !swatchSets.length && !swatchTheme) return null;
+
+  return {
+    presets,
+    swatchSets,
+    swatchTheme,
+    skipped: rawPresets.length - presets.length,
+  };
+}
+
+/**
+ * Keep the valid hex colors of a list, lowercased. Returns null when none are.
+ */
+function _parseColors(colors) {
+  if (!Array.isArray(colors)) return null;
+  const valid = colors.filter(
+    (c) => typeof c === "string" && HEX_COLOR.test(c),
+  );
+  return valid.length ? valid.map((c) => c.toLowerCase()) : null;
+}
+
+/**
+ * Combine imported presets with the existing ones. When merging, presets
+ * whose name is already taken are either overwritten or kept under a new
+ * name, as the user chooses. Returns null if the user cancels.
+ */
+async function _combinePresets(incoming, mode) {
+  if (mode === "replace") return incoming;
+
+  const existing = getPresets("personal");
+  const names = new Set(existing.map((p) => p.name));
+  const collisions = incoming.filter((p) => names.has(p.name));
+  if (!collisions.length) return [...existing, ...incoming];
+
+  const list = collisions
+    .map((p) => `<li>${Handlebars.escapeExpression(p.name)}</li>`)
+    .join("");
+  const resolution = await foundry.applications.api.DialogV2.wait({
+    window: { title: game.i18n.localize("BRUSH_PALETTE.ImportCollisionTitle") },
+    content: `<p>${game.i18n.format("BRUSH_PALETTE.ImportCollisionContent", { count: collisions.length })}</p><ul>${list}</ul>`,
+    buttons: [
+      {
+        action: "overwrite",
+        label: "BRUSH_PALETTE.ImportOverwrite",
+        default: true,
+      },
+      { action: "rename", label: "BRUSH_PALETTE.ImportKeepBoth" },
+      { action: "cancel", label: "Cancel" },
+    ],
+    rejectClose: false,
+  });
+  if (!resolution || resolution === "cancel") return null;
+
+  const presets = [...existing];
+  for (const preset of incoming) {
+    const index = presets.findIndex((p) => p.name === preset.name);
+    if (index === -1) {
+      presets.push(preset);
+    } else if (resolution === "overwrite") {
+      presets[index] = { ...preset, id: presets[index].id };
+    } else {
+      presets.push({ ...preset, name: _uniqueName(preset.name, presets) });
+    }
+  }
+  return presets;
+}
+
+/**
+ * Find a free preset name by appending a counter, e.g. "Marker (2)".
+ */
+function _uniqueName(name, presets) {
+  const taken = new Set(presets.map((p) => p.name));
+  let n = 2;
+  while (taken.has(`${name} (${n})`)) n++;
+  return `${name} (${n})`;
+}